@@ -0,0 +1,429 @@
+#!/usr/bin/env node
+// #region  H E A D E R
+// <copyright file="mcode-cache/bin/mcode-cache.js" company="MicroCODE Incorporated">Copyright © 2022-2026 MicroCODE Incorporated Troy, MI</copyright><author>Timothy J. McGuire</author>
+// #region  M O D U L E
+// #region  D O C U M E N T A T I O N
+/*
+ *      Title:    MicroCODE Data Caching Command Line Tool
+ *      Module:   modules (node_modules/mcode-cache/bin/mcode-cache.js)
+ *      Project:  MicroCODE Common Library
+ *      Customer: Internal
+ *      Creator:  MicroCODE Incorporated
+ *      Date:     October 2026
+ *      Author:   Timothy J McGuire
+ *
+ *      MIT License: MicroCODE.mcode-cache
+ *
+ *
+ *      DESCRIPTION:
+ *      ------------
+ *
+ *      The 'mcode-cache' command, to inspect and purge the Redis namespaces of our Apps from a shell,
+ *      through this package, so keys are made by 'cacheMakeKey()' and values read with the cache codec,
+ *      instead of hand-typing patterns into 'redis-cli'.
+ *
+ *      NOTE:
+ *
+ *      o  Only Redis is reachable from another process, the namespace is opened as a 'redis' namespace,
+ *         a 'hybrid' namespace is its Redis (L2) copy, and a 'node' namespace cannot be seen at all.
+ *
+ *      o  'export' and 'import' use the cacheSave() snapshot format, so a file can go to another namespace
+ *         of the same name, or to cacheLoad() in an App.
+ *
+ *      o  The results of a command are written to stdout, its messages to stderr, and so are the messages the
+ *         package logs, so 'mcode-cache list --json | jq' reads only the results.
+ *
+ *
+ *      MODIFICATIONS:
+ *      --------------
+ *
+ *  Date:         By-Group:   Rev:     Description:
+ *
+ *  19-Oct-2026   TJM-MCODE  {0001}   New command, list, get, drop, drop-all, stats, export and import.
+ *  19-Oct-2026   TJM-MCODE  {0002}   No more console patching, 'stats' totals one key at a time, parse() and run()
+ *                                    are exported for tests and main() only runs from the command line.
+ *  19-Oct-2026   TJM-MCODE  {0003}   Run as the command, the package's log lines go to stderr, not into the results.
+ *  19-Oct-2026   TJM-MCODE  {0004}   'stats' reads the public cacheInspect({stream: true}).
+ *  19-Oct-2026   TJM-MCODE  {0005}   'drop-all' without --yes is a dry run, it exits with 0.
+ *
+ *
+ */
+
+// #endregion
+// #endregion
+// #endregion
+
+// #region  I N C L U D E S
+
+const {parseArgs} = require('util');
+
+// 'mcode-log' has no output setting, it prints every line with console.log, so run as the command its lines are
+// sent to stderr before the package logs the first one, stdout is only for the results. A require() of this
+// module (the tests) leaves the console alone.
+if (require.main === module)
+{
+    console.log = console.error;
+    console.info = console.error;
+}
+
+const cache = require('../index.js');
+
+// #endregion
+
+// #region  C O N S T A N T S
+
+// MicroCODE: define this module's name for our 'mcode-log' package
+const MODULE_NAME = 'mcode-cache-cli.js';
+
+const CONNECT_WAIT = 10;  // seconds to wait for the Redis connection
+
+const COMMANDS = ['list', 'get', 'drop', 'drop-all', 'stats', 'export', 'import'];
+
+const USAGE = `
+Usage: mcode-cache <command> [arguments] --namespace <name> [options]
+
+Commands:
+  list                  lists the keys that match --pattern, with their TTL, size, type and tags
+  get <key>             prints the value of an app key, made into a cache key as the App does
+  drop <key>            drops an app key
+  drop-all              drops the keys that match --pattern, only counts them without --yes
+  stats                 counts the keys, bytes and types of the keys that match --pattern
+  export <file>         writes the keys that match --pattern to a snapshot file
+  import <file>         restores the keys of a snapshot file, skipping the expired ones
+
+Options:
+  -n, --namespace       the namespace, required
+  -p, --pattern         the key pattern, default is all ('*')
+  -l, --limit           the most keys to list, default is 100
+  -u, --url             the Redis server, default is $REDIS_URL or 'redis://127.0.0.1:6379'
+      --user            the Redis user, default is $REDIS_USER
+      --password        the Redis password, default is $REDIS_PASSWORD
+  -j, --json            prints JSON instead of a table
+  -y, --yes             drops the keys with 'drop-all'
+  -h, --help            prints this help
+`;
+
+const OPTIONS = {
+    namespace: {type: 'string', short: 'n'},
+    pattern: {type: 'string', short: 'p', default: '*'},
+    limit: {type: 'string', short: 'l', default: '100'},
+    url: {type: 'string', short: 'u', default: process.env.REDIS_URL},
+    user: {type: 'string', default: process.env.REDIS_USER},
+    password: {type: 'string', default: process.env.REDIS_PASSWORD},
+    json: {type: 'boolean', short: 'j', default: false},
+    yes: {type: 'boolean', short: 'y', default: false},
+    help: {type: 'boolean', short: 'h', default: false}
+};
+
+// #endregion
+
+// #region  F U N C T I O N S
+
+/**
+ * @func print
+ * @desc Prints a result of the command, as JSON, or as a table of rows.
+ * @param {object} options the command line options, {json}.
+ * @param {object|Array} result the result, a table is printed for an Array of rows or a single row.
+ */
+function print(options, result)
+{
+    if (options.json)
+    {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+        return;
+    }
+
+    const rows = [].concat(result);
+
+    if (rows.length === 0)
+    {
+        process.stdout.write('(no keys)\n');
+        return;
+    }
+
+    const columns = Object.keys(rows[0]);
+    const cells = rows.map(row => columns.map(column => text(row[column])));
+    const widths = columns.map((column, index) => Math.max(column.length, ...cells.map(cell => cell[index].length)));
+    const line = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+    process.stdout.write(`${line(columns)}\n${line(widths.map(width => '-'.repeat(width)))}\n`);
+    cells.forEach(cell => process.stdout.write(`${line(cell)}\n`));
+}
+
+/**
+ * @func text
+ * @desc Shows a value in one cell of a table.
+ * @param {any} value the value.
+ * @returns {string} the text of the cell.
+ */
+function text(value)
+{
+    if (value === null || value === undefined)
+    {
+        return '';
+    }
+
+    if (Array.isArray(value))
+    {
+        return value.join(',');
+    }
+
+    if (value instanceof Date)
+    {
+        return value.toISOString();
+    }
+
+    return (typeof value === 'object') ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * @func connect
+ * @desc Opens the namespace as a 'redis' namespace of an independent cache, and waits for its connection.
+ * @param {object} options the command line options, {namespace, url, user, password}.
+ * @returns {Promise<object>} the cache instance, or null if Redis could not be reached.
+ */
+async function connect(options)
+{
+    const namespace = {name: options.namespace, type: 'redis'};
+
+    if (options.url)
+    {
+        namespace.url = options.url;
+    }
+    if (options.user)
+    {
+        namespace.user = options.user;
+    }
+    if (options.password)
+    {
+        namespace.password = options.password;
+    }
+
+    const instance = cache.createCache({namespace: 'mcode-cache-cli', namespaces: [namespace]});
+
+    for (let waited = 0; !instance.cacheReady && waited < CONNECT_WAIT * 10; waited++)
+    {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    if (!instance.cacheReady)
+    {
+        await instance.cacheClose();
+        return null;
+    }
+
+    return instance;
+}
+
+/**
+ * @func run
+ * @desc Runs one command against the namespace.
+ * @param {object} instance the cache instance.
+ * @param {string} command the command.
+ * @param {Array} args the arguments of the command.
+ * @param {object} options the command line options.
+ * @returns {Promise<number>} the exit code, 0 for success.
+ */
+async function run(instance, command, args, options)
+{
+    const namespace = options.namespace;
+    const pattern = options.pattern;
+
+    switch (command)
+    {
+        case 'list':
+        {
+            const rows = await instance.cacheInspect({namespace, pattern, limit: Number.parseInt(options.limit, 10) || 100, preview: 40});
+
+            print(options, options.json ? rows : rows.map(row => ({
+                key: row.key,
+                ttl: (row.ttl < 0) ? 'never' : Math.round(row.ttl),
+                size: row.size,
+                type: row.type,
+                tags: row.tags,
+                value: row.preview
+            })));
+            return 0;
+        }
+
+        case 'get':
+        {
+            const ttl = await instance.withNamespace(namespace, () => instance.cacheGetTTL(args[0]));
+
+            if (ttl === -2)
+            {
+                console.error(`Not found: ${instance.cacheMakeKey(args[0], namespace)}`);
+                return 1;
+            }
+
+            const [value] = await instance.cacheGetMany([args[0]], undefined, {namespace});
+
+            print(options, {cacheKey: instance.cacheMakeKey(args[0], namespace), ttl: (ttl < 0) ? 'never' : ttl, value: value});
+            return 0;
+        }
+
+        case 'drop':
+            print(options, {cacheKey: instance.cacheMakeKey(args[0], namespace), dropped: await instance.cacheDrop(args[0], {namespace})});
+            return 0;
+
+        case 'drop-all':
+        {
+            if (!options.yes)
+            {
+                const keys = await instance.cacheListAll({namespace, pattern});
+
+                print(options, {namespace, pattern, matched: keys.length, dropped: 0});
+                console.error(`Nothing was dropped, run again with --yes to drop ${keys.length} key(s).`);
+                return 0;
+            }
+
+            const dropped = await instance.cacheDropAll({namespace, pattern, onProgress: (progress) =>
+            {
+                process.stderr.write(`\rDropped ${progress.dropped} key(s)...`);
+            }});
+
+            process.stderr.write('\n');
+            print(options, {namespace, pattern, dropped});
+            return 0;
+        }
+
+        case 'stats':
+        {
+            // totals only, one batch of keys at a time, a namespace can be larger than this process
+            const stats = {namespace, pattern, keys: 0, bytes: 0, neverExpire: 0, tagged: 0, types: {}};
+
+            for await (const row of instance.cacheInspect({namespace, pattern, stream: true}))
+            {
+                stats.keys++;
+                stats.bytes += row.size;
+                stats.neverExpire += (row.ttl < 0) ? 1 : 0;
+                stats.tagged += (row.tags.length > 0) ? 1 : 0;
+                stats.types[row.type] = (stats.types[row.type] || 0) + 1;
+            }
+
+            print(options, stats);
+            return 0;
+        }
+
+        case 'export':
+            print(options, await instance.cacheSave(args[0], {namespace, pattern, cache: '*'}));
+            return 0;
+
+        case 'import':
+        {
+            const summary = await instance.cacheLoad(args[0], {namespace, cache: '*'});
+
+            print(options, summary);
+            return summary.error ? 1 : 0;
+        }
+    }
+
+    console.error(`Unknown command: ${command}\n${USAGE}`);
+    return 1;
+}
+
+/**
+ * @func parse
+ * @desc Parses the command line, a usage error is thrown with its message.
+ * @param {Array} argv the arguments, without 'node' and the script.
+ * @returns {object} {command, args, options}, the command is 'help' for --help or no command.
+ */
+function parse(argv)
+{
+    const parsed = parseArgs({args: argv, options: OPTIONS, allowPositionals: true});
+    const options = parsed.values;
+    const [command, ...args] = parsed.positionals;
+
+    if (options.help || !command)
+    {
+        return {command: 'help', args, options};
+    }
+
+    if (!COMMANDS.includes(command))
+    {
+        throw new Error(`Unknown command: ${command}`);
+    }
+
+    if (!options.namespace || options.namespace === '*')
+    {
+        throw new Error(`A --namespace is required, one at a time.`);
+    }
+
+    if (['get', 'drop', 'export', 'import'].includes(command) && !args[0])
+    {
+        throw new Error(`'${command}' needs a ${command.endsWith('port') ? 'file' : 'key'}.`);
+    }
+
+    return {command, args, options};
+}
+
+/**
+ * @func main
+ * @desc Parses the command line, connects, runs the command, and sets the exit code,
+ * 0 for success, 1 for a usage error or a missing key, 2 if Redis could not be reached.
+ */
+async function main()
+{
+    let command, args, options;
+
+    try
+    {
+        ({command, args, options} = parse(process.argv.slice(2)));
+    }
+    catch (exp)
+    {
+        console.error(`${exp.message}\n${USAGE}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (command === 'help')
+    {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const instance = await connect(options);
+
+    if (!instance)
+    {
+        console.error(`Could not connect to Redis for namespace: ${options.namespace}, at: ${options.url || 'the default URL'}`);
+        process.exitCode = 2;
+    }
+    else
+    {
+        try
+        {
+            process.exitCode = await run(instance, command, args, options);
+        }
+        catch (exp)
+        {
+            console.error(`${MODULE_NAME}: ${exp.message}`);
+            process.exitCode = 1;
+        }
+        finally
+        {
+            await instance.cacheClose();
+        }
+    }
+
+    // the package's default instance
+    await cache.cacheClose();
+}
+
+// #endregion
+
+// #region  E X P O R T S
+
+module.exports = {parse, run, USAGE};
+
+// #endregion
+
+// #region  M A I N
+
+if (require.main === module)
+{
+    main();
+}
+
+// #endregion
@@ -86,6 +86,78 @@
  *                                    CommonJS/Node.js, and browser global in our exported module.
  *  15-Sep-2024   TJM-MCODE  {0003}   Extended to support *node-cache* package for caching local information
  *                                    to avoid network latency, this is now the default cache provider.
+ *  19-Oct-2026   TJM-MCODE  {0004}   Added per-key and per-namespace TTL control to cacheSet(), cacheGet()
+ *                                    and addNamespace(), with cacheGetTTL() and cacheSetTTL() for both caches.
+ *  19-Oct-2026   TJM-MCODE  {0005}   Added read-through callbacks to Redis namespaces and a pluggable value codec
+ *                                    so values keep their shape in both 'node' and 'redis' namespaces.
+ *  19-Oct-2026   TJM-MCODE  {0006}   Added single-flight loading so concurrent misses on one key share one callback,
+ *                                    with an optional cross-process Redis lock per namespace.
+ *  19-Oct-2026   TJM-MCODE  {0007}   Cached falsy values (0, '', false, null) are now hits, added opt-in negative
+ *                                    caching of 'not found' results with their own shorter TTL.
+ *  19-Oct-2026   TJM-MCODE  {0008}   Added opt-in file watching, fileWatchOn() and fileWatchOff(), to drop or reload
+ *                                    fileRead() entries when their files change on disk.
+ *  19-Oct-2026   TJM-MCODE  {0009}   Cached files now carry their size, mtime, content hash, weak ETag and cache time,
+ *                                    added fileStat() and fileReadWithMeta(), file operations follow the namespace type.
+ *  19-Oct-2026   TJM-MCODE  {0010}   Added filePreload() to warm the cache from a directory or glob at startup.
+ *  19-Oct-2026   TJM-MCODE  {0011}   Added createCache() to build independent cache instances beside the Singleton.
+ *  19-Oct-2026   TJM-MCODE  {0012}   Each Redis namespace now has its own client (shared by URL and user) with its own
+ *                                    connection state and error handling, cacheReady reports per namespace.
+ *  19-Oct-2026   TJM-MCODE  {0013}   Added the 'hybrid' namespace type, a node-cache L1 with its own shorter TTL
+ *                                    in front of a Redis L2, kept coherent on set and drop.
+ *  19-Oct-2026   TJM-MCODE  {0014}   Added an opt-in invalidation bus on a Redis channel, cacheBusOn() and cacheBusOff(),
+ *                                    so sets and drops in node-cache namespaces reach the other App instances.
+ *  19-Oct-2026   TJM-MCODE  {0015}   Added hit, miss, load, set, drop and eviction counters, and callback latency,
+ *                                    per namespace and cache, cacheStats(), cacheStatsReset(), cacheStatsPrometheus().
+ *  19-Oct-2026   TJM-MCODE  {0016}   Added on() and off() for cache events, hit, miss, set, drop, expired, evicted,
+ *                                    and the Redis client's connect, error and reconnecting.
+ *  19-Oct-2026   TJM-MCODE  {0017}   Added tags, cacheSet() and cacheGet() {tags}, and cacheDropTag() to drop every key
+ *                                    with a tag, the tag index lives in Redis sets for Redis namespaces.
+ *  19-Oct-2026   TJM-MCODE  {0018}   Added memoize() to cache an async function by its arguments, with drop() and clear(),
+ *                                    and an optional 'namespace' for cacheMakeKey().
+ *  19-Oct-2026   TJM-MCODE  {0019}   Added withNamespace() to scope the current namespace to an async context, and a
+ *                                    {namespace} option on cacheGet(), cacheSet(), cacheDrop(), fileRead(), fileWrite().
+ *  19-Oct-2026   TJM-MCODE  {0020}   Added size-bounded node-cache namespaces, {maxKeys, maxBytes, policy: 'lru'|'lfu'},
+ *                                    approximate byte accounting of values, eviction, and cacheUsage().
+ *  19-Oct-2026   TJM-MCODE  {0021}   Added cacheSave() and cacheLoad() to keep 'node' namespaces across restarts, and
+ *                                    cacheSaveOn() / cacheSaveOff() for a periodic autosave and a save on cacheClose().
+ *  19-Oct-2026   TJM-MCODE  {0022}   Added cacheCopy() to copy or move keys between namespaces and backends, with their
+ *                                    TTLs and tags, reporting the keys copied, skipped and failed.
+ *  19-Oct-2026   TJM-MCODE  {0023}   Added cacheGetMany(), cacheSetMany() and cacheDropMany() for batches in one round
+ *                                    trip, and cacheDropAll() now drops a namespace's Redis keys in a single MULTI.
+ *  19-Oct-2026   TJM-MCODE  {0024}   Added cacheScan(), an async iterator of keys using Redis SCAN, not KEYS, and rebuilt
+ *                                    cacheListAll() and cacheDropAll() on it, dropping in batches with progress reports.
+ *  19-Oct-2026   TJM-MCODE  {0025}   Added cacheInspect() to describe keys for support tools, their TTL, size, type,
+ *                                    cached-at time and a preview, the same way for 'node' and 'redis' namespaces.
+ *  19-Oct-2026   TJM-MCODE  {0026}   Added cacheAdmin(), a (req, res, next) handler of JSON and HTMX support routes to
+ *                                    browse and purge the cache, with an 'authorize' hook and a read-only mode.
+ *  19-Oct-2026   TJM-MCODE  {0027}   Added the 'mcode-cache' command, bin/mcode-cache.js, with cacheSave() and cacheLoad()
+ *                                    {cache: 'redis'} for its export and import, and {pattern} for cacheSave().
+ *  19-Oct-2026   TJM-MCODE  {0028}   Added Redis reconnect backoff, command 'timeout', and a circuit breaker per Redis client
+ *                                    that sends reads to the 'fallback', the callback or a node-cache 'shadow', while
+ *                                    Redis is unhealthy. 'cacheReady' is false while a circuit is not closed.
+ *  19-Oct-2026   TJM-MCODE  {0029}   Files are only tracked while watching is on, and forgotten when they are dropped.
+ *  19-Oct-2026   TJM-MCODE  {0030}   A 'hybrid' drop with Redis down drops the L1 copy, logs, and still publishes to the bus.
+ *  19-Oct-2026   TJM-MCODE  {0031}   Bus messages are not published while the bus publisher is not ready.
+ *  19-Oct-2026   TJM-MCODE  {0032}   The Redis tagging script declares the tag sets it writes in KEYS.
+ *  19-Oct-2026   TJM-MCODE  {0033}   memoize().clear() matches the made key of a 'name' with slashes.
+ *  19-Oct-2026   TJM-MCODE  {0034}   fileDrop() takes {namespace}, and fileReadWithMeta() / fileStat() use theirs.
+ *  19-Oct-2026   TJM-MCODE  {0035}   Values are only measured as they are set in namespaces with 'maxBytes'.
+ *  19-Oct-2026   TJM-MCODE  {0036}   cacheScan() skips namespaces whose Redis is unavailable, cacheOff() and redisOff()
+ *                                    wait for their drops, and a failed Redis load lock goes to the 'fallback'.
+ *  19-Oct-2026   TJM-MCODE  {0037}   cacheInspect() reads its rows from _inspectScan(), which the CLI 'stats' totals
+ *                                    one batch at a time.
+ *  19-Oct-2026   TJM-MCODE  {0038}   Files cached before fileWatchOn() are watched too, and a failed drop of a changed
+ *                                    or deleted file is logged instead of rejecting in its timer.
+ *  19-Oct-2026   TJM-MCODE  {0039}   The MULTIs of many keys run inside _redisCommand(), and a failed Redis drop is
+ *                                    logged the same way for 'redis' and 'hybrid' namespaces.
+ *  19-Oct-2026   TJM-MCODE  {0040}   fileWrite() writes the file before it drops and caches it, a cache failure is
+ *                                    only logged.
+ *  19-Oct-2026   TJM-MCODE  {0041}   Corrected the _busPublish() doc, a message is skipped while the bus is down.
+ *  19-Oct-2026   TJM-MCODE  {0042}   memoize() throws for a second function with the same name in a namespace.
+ *  19-Oct-2026   TJM-MCODE  {0043}   A value larger than the 'maxBytes' of its namespace is rejected, not set and evicted.
+ *  19-Oct-2026   TJM-MCODE  {0044}   The namespace of a key is the longest namespace it starts with, so names can have
+ *                                    a ':', and cacheDropTag() removes only the Redis tag members it read.
+ *  19-Oct-2026   TJM-MCODE  {0045}   cacheInspect({stream: true}) describes keys one batch at a time, for the CLI 'stats'.
  *
  *
  *
@@ -100,9 +172,14 @@
 const mcode = require('mcode-log');
 const path = require('path');
 const fs = require('fs').promises;
+const {watch, watchFile, unwatchFile} = require('fs');
 
 const Redis = require('redis');
 const NodeCache = require('node-cache');
+const crypto = require('crypto');
+const util = require('util');
+const EventEmitter = require('events');
+const {AsyncLocalStorage} = require('async_hooks');
 const {ifError} = require('assert');
 
 // #endregion
@@ -112,6 +189,9 @@ const {ifError} = require('assert');
 // MicroCODE: define this module's name for our 'mcode-log' package
 const MODULE_NAME = 'mcode-cache.js';
 
+// marks a constructor call from createCache(), which builds an instance outside the Singleton
+const INDEPENDENT = Symbol('independent');
+
 // #endregion
 
 // #region  C L A S S
@@ -130,6 +210,46 @@ class cache
     static REDIS_PORT = 6379;
     static REDIS_USER = 'user';
     static REDIS_PASSWORD = 'password';
+    static LOCK_PREFIX = 'mcode-lock:';
+    static TAG_PREFIX = 'mcode-tag:';        // Redis set of the keys with a tag, 'mcode-tag:<namespace>:<tag>'
+    static TAGGED_PREFIX = 'mcode-tagged:';  // Redis set of the tags of a key, 'mcode-tagged:<namespace>:<key>'
+    static SAVE_INTERVAL = 5 * 60;           // seconds between autosaves by cacheSaveOn()
+    static SAVE_FORMAT = 'mcode-cache';      // the 'format' of a cacheSave() snapshot, version 1
+    static MEMO_PREFIX = 'memo:';            // memoize() keys, '<namespace>:memo:<name>:<arguments>'
+    static MEMO_KEY_MAX = 200;               // characters of serialized arguments kept in a key, longer is hashed
+    static LOCK_TTL = 30;     // seconds a Redis load lock is held before it expires
+    static LOCK_WAIT = 10;    // seconds to wait for another process to finish a load
+    static LOCK_RETRY = 0.1;  // seconds between checks while waiting
+    static WATCH_DEBOUNCE = 100;   // milliseconds to let file events settle before acting
+    static WATCH_INTERVAL = 1000;  // milliseconds between checks when polling for file changes
+    static FILE_HASH = 'sha1';     // content hash algorithm for cached files, 'sha1' or 'sha256'
+    static PRELOAD_CONCURRENCY = 8;  // files read at the same time by filePreload()
+    static SCAN_COUNT = 100;         // keys Redis looks at per SCAN, and keys dropped per batch by cacheDropAll()
+    static INSPECT_LIMIT = 100;      // keys described by cacheInspect() unless asked for more
+    static ADMIN_PREVIEW = 80;       // characters of each value shown by the cacheAdmin() key list
+    static L1_TTL = 60;            // seconds a 'hybrid' namespace keeps a key in its node-cache (L1)
+    static REDIS_TIMEOUT = 2;          // seconds a Redis command may take before it counts as a failure
+    static REDIS_RECONNECT_MIN = 0.1;  // seconds before the first reconnect, doubled on each retry...
+    static REDIS_RECONNECT_MAX = 10;   // ...up to this many seconds, with jitter
+    static BREAKER_FAILURES = 5;       // Redis failures in a row that open the circuit of a connection
+    static BREAKER_RESET = 10;         // seconds an open circuit waits before letting a trial command through
+    static SHADOW_TTL = 60;            // seconds a 'shadow' fallback keeps a value in node-cache while Redis is down
+    static CIRCUIT_OPEN = 'EMCODECIRCUIT';  // the 'code' of the error of a command refused by an open circuit
+    static BUS_CHANNEL = 'mcode-cache:bus';  // Redis channel of the node-cache invalidation bus
+    static CACHE_EVENTS = ['hit', 'miss', 'set', 'drop', 'expired', 'evicted', 'redis:connect', 'redis:error', 'redis:reconnecting', 'redis:circuit'];
+    static STATS_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];  // seconds, callback latency histogram
+    static ADMIN_ROUTES = {  // cacheAdmin() '<method> <path>': action, only the GET routes leave the cache as it is
+        'GET /': 'status',
+        'GET /namespaces': 'namespaces',
+        'GET /keys': 'keys',
+        'GET /key': 'value',
+        'DELETE /key': 'drop',
+        'DELETE /keys': 'dropAll',
+        'POST /cache/on': 'cacheOn',
+        'POST /cache/off': 'cacheOff',
+        'POST /redis/on': 'redisOn',
+        'POST /redis/off': 'redisOff'
+    };
 
     // #endregion
 
@@ -139,18 +259,45 @@ class cache
     #cache = null;
     #cacheTTL = cache.CACHE_TTL;
     #cacheNamespace = '';
+    #namespaceScope = new AsyncLocalStorage();
     #cacheNamespaces = {};
+    #namespaceConfigs = {};
     #cacheEnabled = true;
+    #cacheCodec = cache.JSON_CODEC;
+    #cacheLoading = new Map();
+    #cacheStats = {};
+    #cacheEvents = new EventEmitter();
+
+    // node-cache tag index, tag => cache keys, and cache key => tags
+    #cacheTags = new Map();
+    #cacheKeyTags = new Map();
+
+    // node-cache keys, approximate bytes and evictions, by namespace
+    #namespaceUsage = {};
+
+    // memoize() functions, by the prefix of their keys, '<namespace>:memo:<name>'
+    #memoFunctions = new Map();
 
-    // Redis instance
-    #redis = null;
+    // periodic snapshots of node-cache namespaces, cacheSaveOn()
+    #cacheAutosave = null;
+
+    // fileRead() tracking and watching
+    #filePaths = new Map();
+    #fileWatchers = new Map();
+    #fileWatch = null;
+
+    // Redis clients, by connection, and the defaults for new Redis namespaces
+    #redisClients = new Map();
     #redisURL = cache.REDIS_URL;
     #redisPort = cache.REDIS_PORT;
     #redisUser = cache.REDIS_USER;
     #redisPassword = cache.REDIS_PASSWORD;
-    #redisConnected = false;
     #redisEnabled = true;
 
+    // invalidation bus between App instances, and this instance's id on it
+    #cacheBus = null;
+    #cacheBusId = crypto.randomUUID();
+
     #privateExample = 'PRIVATE PROPERTY';
 
     // #endregion
@@ -159,41 +306,81 @@ class cache
 
     /**
      * @constructor cache class constructor.
+     * @param {object} [options] the settings of an independent instance, see createCache().
      */
-    constructor ()
+    constructor (options = {})
     {
-        // Create a Singleton instance
-        if (!cache.instance)
+        const independent = (options[INDEPENDENT] === true);
+
+        // Create a Singleton instance, or an independent one for createCache()
+        if (independent || !cache.instance)
         {
-            this.#cacheTTL = cache.CACHE_TTL;
-            this.#redisURL = `${cache.REDIS_URL}`;
-            this.#redisPort = `${cache.REDIS_PORT}`;
-            this.#redisUser = `${cache.REDIS_USER}`;
-            this.#redisPassword = `${cache.REDIS_PASSWORD}`;
+            this.#cacheTTL = options.ttl ?? cache.CACHE_TTL;
+            this.#redisURL = `${options.redisURL ?? cache.REDIS_URL}`;
+            this.#redisPort = `${options.redisPort ?? cache.REDIS_PORT}`;
+            this.#redisUser = `${options.redisUser ?? cache.REDIS_USER}`;
+            this.#redisPassword = `${options.redisPassword ?? cache.REDIS_PASSWORD}`;
+
+            if (options.codec)
+            {
+                this.cacheCodec = options.codec;
+            }
 
             this._cacheInit();
 
             // add the default namespace as a node-cache namespace
-            this.addNamespace({name: 'MicroCODE', type: 'node'});
+            const namespace = options.namespace || 'MicroCODE';
+            this.addNamespace({name: namespace, type: 'node'});
 
             // make it current
-            this.#cacheNamespace = 'MicroCODE';
+            this.#cacheNamespace = namespace;
+
+            // add any other namespaces requested, the default stays current
+            for (const other of options.namespaces || [])
+            {
+                this.addNamespace(other);
+            }
 
             // generate a default cache key for the current namespace
             this.cacheSet('Default', 'node-cache');
 
-            cache.instance = this;
+            if (!independent)
+            {
+                cache.instance = this;
+            }
         }
 
         mcode.done(`mcode-cache initialized with namespace: ${this.#cacheNamespace}`, MODULE_NAME);
 
-        return cache.instance;
+        return independent ? this : cache.instance;
     }
 
     // #endregion
 
     // #region  E N U M E R A T I O N S
 
+    /**
+     * @enum JSON_CODEC - the default value codec for Redis namespaces, JSON with type tags for values that
+     * JSON cannot represent (Date, Buffer, BigInt, undefined) so they come back with the same shape as from node-cache.
+     * Any codec is an object with 'encode(value) => string' and 'decode(string) => value' functions.
+     */
+    static JSON_CODEC = Object.freeze
+        ({
+            encode: (value) => JSON.stringify(cache._codecTag(value)),
+            decode: (text) =>
+            {
+                try
+                {
+                    return cache._codecUntag(JSON.parse(text));
+                }
+                catch
+                {
+                    // not JSON, a plain string stored before the codec was introduced
+                    return text;
+                }
+            }
+        });
+
     /**
      * @enum namedEnum1 - a description of this enum, its use, and meaning. TEMPLATE.
      */
@@ -213,22 +400,42 @@ class cache
     // #region  P R O P E R T I E S
 
     /**
-     * @property {number} cacheReady the cache instance and default namespace has=ve been established successfully.
+     * @property {boolean} cacheReady the cache instance and all namespaces have been established successfully,
+     * every Redis namespace is connected to its healthy Redis Server. See 'cacheReadyNamespaces' for each namespace.
      */
     get cacheReady()
     {
-        if (this.#redis)
-        {
-            return (this.#cache != null && this.#redisConnected);
-        }
-        else
+        return Object.values(this.cacheReadyNamespaces).every((ready) => ready);
+    }
+
+    /**
+     * @property {object} cacheReadyNamespaces the ready state of each namespace, {<namespace>: true|false},
+     * a 'node' namespace is ready with the node-cache, a 'redis' or 'hybrid' namespace when its Redis client is connected
+     * and its circuit breaker is closed.
+     */
+    get cacheReadyNamespaces()
+    {
+        const ready = {};
+
+        for (const [name, type] of Object.entries(this.#cacheNamespaces))
         {
-            return this.#cache != null;
+            if (type === 'redis' || type === 'hybrid')
+            {
+                const connection = this.#redisClients.get(this.#namespaceConfigs[name].connection);
+                ready[name] = (this.#cache != null && !!connection && connection.connected && connection.breaker.state === 'closed');
+            }
+            else
+            {
+                ready[name] = (this.#cache != null);
+            }
         }
+
+        return ready;
     }
 
     /**
      * @property {number} cacheTTL the cache Time-To-Live property, in seconds.
+     * This is the default for any namespace without its own 'ttl', 0 = never expire.
      */
     get cacheTTL()
     {
@@ -253,10 +460,11 @@ class cache
      * @property {string} cacheNamespace the 'prefix' used to group our keys in the cache Server.
      * This property switches to a new namespace, to be used for all subsequent cache operations as the default.
      * The namespace must already exist in the cache servers 'namespace' list, see addNamespace().
+     * Inside withNamespace() it reads as the scoped namespace, setting it still changes the default for everyone.
      */
     get cacheNamespace()
     {
-        return this.#cacheNamespace;
+        return this.#namespaceScope.getStore() ?? this.#cacheNamespace;
     }
     set cacheNamespace(value)
     {
@@ -272,6 +480,24 @@ class cache
         return this.#cacheEnabled;
     }
 
+    /**
+     * @property {object} cacheCodec the default value codec, {encode, decode}, for Redis namespaces without their own 'codec'.
+     */
+    get cacheCodec()
+    {
+        return this.#cacheCodec;
+    }
+    set cacheCodec(value)
+    {
+        if (!cache._isCodec(value))
+        {
+            mcode.warn(`Invalid codec: it must have 'encode()' and 'decode()' functions.`, MODULE_NAME);
+            return;
+        }
+
+        this.#cacheCodec = value;
+    }
+
     /**
      * @property {number} redisEnabled returns a value indicating whether or not Redis Caches is caching the namespaces.
      */
@@ -281,7 +507,7 @@ class cache
     }
 
     /**
-     * @property {string} redisURL the URL to the Redis Server.
+     * @property {string} redisURL the URL to the Redis Server, the default for Redis namespaces added without a 'url'.
      */
     get redisURL()
     {
@@ -375,6 +601,289 @@ class cache
         return value;
     }
 
+    /**
+     * createCache() – creates a new cache instance, fully independent of the Singleton and of each other:
+     *                 its own node-cache, namespaces, current namespace, TTLs, switches and Redis connection.
+     * @api public
+     *
+     * @param {object} [options] the settings for the new instance.
+     * @param {string} [options.namespace] the default (and current) 'node' namespace, default is 'MicroCODE'.
+     * @param {Array} [options.namespaces] other namespaces to add, as addNamespace() configurations.
+     * @param {number} [options.ttl] the default Time-To-Live, in seconds, default is 24 hours.
+     * @param {object} [options.codec] the default {encode, decode} value codec for Redis namespaces.
+     * @param {string} [options.redisURL] the default Redis Server URL for Redis namespaces without a 'url'.
+     * @returns {cache} the new cache instance.
+     *
+     * @example
+     *
+     *      const {createCache} = require('mcode-cache');
+     *      const tenantCache = createCache({namespace: 'Tenant-42', ttl: 60 * 10});
+     *      await tenantCache.cacheSet('myKey', 'myValue');
+     *      await tenantCache.cacheClose();
+     */
+    static createCache(options = {})
+    {
+        return new cache({...options, [INDEPENDENT]: true});
+    }
+
+    /**
+     * _codecTag() – converts a value into a JSON safe value, tagging the types JSON would lose.
+     * @api private
+     *
+     * @param {any} value the value to be encoded.
+     * @returns {any} a value JSON.stringify() can represent exactly.
+     */
+    static _codecTag(value)
+    {
+        if (value === undefined)
+        {
+            return {$type: 'undefined'};
+        }
+
+        if (typeof value === 'bigint')
+        {
+            return {$type: 'BigInt', value: value.toString()};
+        }
+
+        if (value instanceof Date)
+        {
+            return {$type: 'Date', value: value.getTime()};
+        }
+
+        if (Buffer.isBuffer(value))
+        {
+            return {$type: 'Buffer', value: value.toString('base64')};
+        }
+
+        if (Array.isArray(value))
+        {
+            return value.map((item) => cache._codecTag(item));
+        }
+
+        if (value !== null && typeof value === 'object')
+        {
+            const tagged = {};
+
+            for (const [key, item] of Object.entries(value))
+            {
+                tagged[key] = cache._codecTag(item);
+            }
+
+            return tagged;
+        }
+
+        return value;
+    }
+
+    /**
+     * _codecUntag() – restores a value tagged by _codecTag() to its original type.
+     * @api private
+     *
+     * @param {any} value the value parsed from JSON.
+     * @returns {any} the original value.
+     */
+    static _codecUntag(value)
+    {
+        if (Array.isArray(value))
+        {
+            return value.map((item) => cache._codecUntag(item));
+        }
+
+        if (value === null || typeof value !== 'object')
+        {
+            return value;
+        }
+
+        switch (value.$type)
+        {
+            case 'undefined':
+                return undefined;
+            case 'BigInt':
+                return BigInt(value.value);
+            case 'Date':
+                return new Date(value.value ?? NaN);
+            case 'Buffer':
+                return Buffer.from(value.value, 'base64');
+        }
+
+        const untagged = {};
+
+        for (const [key, item] of Object.entries(value))
+        {
+            untagged[key] = cache._codecUntag(item);
+        }
+
+        return untagged;
+    }
+
+    /**
+     * _isCodec() – checks that an object can be used as a value codec.
+     * @api private
+     *
+     * @param {object} codec the codec to be checked.
+     * @returns {boolean} true if the codec has 'encode()' and 'decode()' functions.
+     */
+    static _isCodec(codec)
+    {
+        return !!codec && typeof codec.encode === 'function' && typeof codec.decode === 'function';
+    }
+
+    /**
+     * _stableStringify() – serializes a value the same way whatever the order of its object keys,
+     * Dates, Buffers, BigInts and undefined are kept apart from look-alike strings with the codec's type tags.
+     * @api private
+     *
+     * @param {any} value the value to be serialized.
+     * @returns {string} the JSON text.
+     */
+    static _stableStringify(value)
+    {
+        return JSON.stringify(cache._codecTag(value), (key, item) =>
+        {
+            if (item !== null && typeof item === 'object' && !Array.isArray(item))
+            {
+                return Object.keys(item).sort().reduce((sorted, name) =>
+                {
+                    sorted[name] = item[name];
+                    return sorted;
+                }, {});
+            }
+
+            return item;
+        });
+    }
+
+    /**
+     * _isTags() – checks that a 'tags' option is a list of tag names.
+     * @api private
+     *
+     * @param {any} tags the tags to be checked.
+     * @returns {boolean} true if the tags are undefined or an Array of non-empty strings.
+     */
+    static _isTags(tags)
+    {
+        return tags === undefined || (Array.isArray(tags) && tags.every(tag => typeof tag === 'string' && tag.length > 0));
+    }
+
+    /**
+     * _redisBackoff() – the wait before a Redis reconnect, doubling from 'min' up to 'max', with jitter
+     * so the clients of many processes do not reconnect all at once.
+     * @api private
+     *
+     * @param {number} retries the reconnects tried so far.
+     * @param {object} reconnect the {min, max} seconds between reconnects.
+     * @returns {number} the wait before the next reconnect, in milliseconds.
+     */
+    static _redisBackoff(retries, reconnect)
+    {
+        const wait = Math.min(reconnect.max, reconnect.min * (2 ** retries));
+
+        return Math.round(wait * 1000 * (0.5 + Math.random() / 2));
+    }
+
+    /**
+     * _sizeOf() – approximates the bytes a value takes in the cache, from its length as text.
+     * @api private
+     *
+     * @param {any} value the value to be measured.
+     * @returns {number} the approximate size, in bytes.
+     */
+    static _sizeOf(value)
+    {
+        if (typeof value === 'string')
+        {
+            return Buffer.byteLength(value);
+        }
+
+        if (Buffer.isBuffer(value))
+        {
+            return value.length;
+        }
+
+        try
+        {
+            return Buffer.byteLength(JSON.stringify(cache._codecTag(value)) ?? '');
+        }
+        catch (exp)
+        {
+            return 0;
+        }
+    }
+
+    /**
+     * _typeOf() – names the type of a cached value, telling apart the objects that 'typeof' does not.
+     * @api private
+     *
+     * @param {any} value the value to be named.
+     * @returns {string} 'null', 'array', 'date', 'buffer', 'map', 'set', or the 'typeof' the value.
+     */
+    static _typeOf(value)
+    {
+        if (value === null)
+        {
+            return 'null';
+        }
+
+        if (Array.isArray(value))
+        {
+            return 'array';
+        }
+
+        if (value instanceof Date)
+        {
+            return 'date';
+        }
+
+        if (Buffer.isBuffer(value))
+        {
+            return 'buffer';
+        }
+
+        if (value instanceof Map)
+        {
+            return 'map';
+        }
+
+        if (value instanceof Set)
+        {
+            return 'set';
+        }
+
+        return typeof value;
+    }
+
+    /**
+     * _preview() – shows a cached value as one line of text, cut to a length.
+     * @api private
+     *
+     * @param {any} value the value to be shown.
+     * @param {number} length the most characters to show.
+     * @returns {string} the text, ending in '...' if it was cut.
+     */
+    static _preview(value, length)
+    {
+        const text = (typeof value === 'string') ? value : util.inspect(value, {depth: 2, breakLength: Infinity});
+
+        return (text.length > length) ? `${text.slice(0, length)}...` : text;
+    }
+
+    /**
+     * _escapeHtml() – escapes text to be placed in HTML, as content or an attribute value.
+     * @api private
+     *
+     * @param {any} text the text to be escaped.
+     * @returns {string} the escaped text.
+     */
+    static _escapeHtml(text)
+    {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // #endregion
 
     // #region  M E T H O D S – P U B L I C
@@ -382,11 +891,41 @@ class cache
     /**
      * @func addNamespace
      * @memberof mcode.cache
-     * @desc Adds a new namespace to the cache server.
+     * @desc Adds a new namespace to the cache server. The 'type' is 'node' (in process), 'redis' (shared),
+     * or 'hybrid', a node-cache L1 with a shorter TTL in front of Redis L2.
      * @param {object} namespace the namespace and configuration to be added to the cache server.
+     * @param {number} [namespace.ttl] the default Time-To-Live for keys in this namespace, in seconds (0 = never expire).
+     * @param {object} [namespace.codec] the {encode, decode} value codec for a 'redis' namespace, defaults to 'cacheCodec'.
+     * @param {number} [namespace.l1Ttl] for a 'hybrid' namespace, the Time-To-Live of keys in the L1 node-cache, in seconds,
+     * default is 60, never longer than the key's own TTL.
+     * @param {number} [namespace.negativeTtl] cache 'not found' (null or undefined) callback results for this many seconds,
+     * the default of 0 does not cache them.
+     * @param {number} [namespace.maxKeys] for a 'node' or 'hybrid' namespace, the most keys kept in node-cache, 0 = no limit.
+     * @param {number} [namespace.maxBytes] for a 'node' or 'hybrid' namespace, the most bytes of values kept in node-cache
+     * (approximate), 0 = no limit.
+     * @param {string} [namespace.policy] the key evicted when a limit is passed, 'lru' (least recently used, default)
+     * or 'lfu' (least frequently used).
+     * @param {boolean|object} [namespace.lock] for a 'redis' namespace, lock misses across processes so only one loads a key,
+     * true for the defaults or {ttl, wait, retry} in seconds.
+     * @param {number} [namespace.timeout] for a 'redis' or 'hybrid' namespace, the seconds a Redis command may take, default is 2,
+     * a command that takes longer fails and counts against the circuit breaker.
+     * @param {object} [namespace.reconnect] the {min, max} seconds between Redis reconnects, doubling from 'min' up to 'max'.
+     * @param {object} [namespace.breaker] the circuit breaker of the Redis connection, {failures, reset}, the failures in a row
+     * that open it and the seconds before a trial command, default is {failures: 5, reset: 10}.
+     * @param {string} [namespace.fallback] for a 'redis' namespace, where cacheGet() reads while Redis is unhealthy, 'loader'
+     * (default) calls the callback every time, 'shadow' caches its results in node-cache for up to 60 seconds.
+     *
+     * NOTE: 'reconnect' and 'breaker' belong to the Redis connection, the first namespace on a server sets them.
+     *       A 'hybrid' namespace always falls back to its L1 and the callback.
      * @api public
      * @example
      *     const namespace = {name: 'MicroCODE', type: 'node', user: 'username', password: '...'};
+     *     const namespace = {name: 'GM-GPS-eMITS-DB', type: 'redis', ttl: 60 * 5};
+     *     const namespace = {name: 'GM-GPS-eMITS-SESSION', type: 'redis', url: 'redis://10.0.0.7:6379', user: 'app', password: '...'};
+     *     const namespace = {name: 'GM-GPS-eMITS-RPT', type: 'redis', lock: {ttl: 60, wait: 30}};
+     *     const namespace = {name: 'GM-GPS-eMITS-CFG', type: 'hybrid', ttl: 60 * 60, l1Ttl: 30};
+     *     const namespace = {name: 'GM-GPS-eMITS-API', type: 'redis', timeout: 0.5, breaker: {failures: 3}, fallback: 'shadow'};
+     *     const namespace = {name: 'GM-GPS-eMITS-UI', type: 'node', maxKeys: 5000, maxBytes: 64 * 1024 * 1024, policy: 'lfu'};
      */
     addNamespace(namespace)
     {
@@ -397,15 +936,80 @@ class cache
             return;
         }
 
-        // only allow 'node' or 'redis' cache types
-        if (namespace.type !== 'node' && namespace.type !== 'redis')
+        // only allow 'node', 'redis' or 'hybrid' cache types
+        if (namespace.type !== 'node' && namespace.type !== 'redis' && namespace.type !== 'hybrid')
+        {
+            mcode.warn(`Invalid cache type: ${namespace.type}, selected for namespace: ${namespace.name}, must be 'node', 'redis' or 'hybrid'.`, MODULE_NAME);
+            return;
+        }
+
+        // the optional default TTL must be a number of seconds, 0 = never expire
+        if (namespace.ttl !== undefined && (typeof namespace.ttl !== 'number' || namespace.ttl < 0))
+        {
+            mcode.warn(`Invalid ttl: ${namespace.ttl}, selected for namespace: ${namespace.name}, must be a number of seconds >= 0.`, MODULE_NAME);
+            return;
+        }
+
+        // the optional L1 TTL must be a number of seconds, 0 = the key's own TTL
+        if (namespace.l1Ttl !== undefined && (typeof namespace.l1Ttl !== 'number' || namespace.l1Ttl < 0))
+        {
+            mcode.warn(`Invalid l1Ttl: ${namespace.l1Ttl}, selected for namespace: ${namespace.name}, must be a number of seconds >= 0.`, MODULE_NAME);
+            return;
+        }
+
+        // the optional negative TTL must be a number of seconds, 0 = do not cache 'not found'
+        if (namespace.negativeTtl !== undefined && (typeof namespace.negativeTtl !== 'number' || namespace.negativeTtl < 0))
+        {
+            mcode.warn(`Invalid negativeTtl: ${namespace.negativeTtl}, selected for namespace: ${namespace.name}, must be a number of seconds >= 0.`, MODULE_NAME);
+            return;
+        }
+
+        // the optional limits must be numbers >= 0, and only bound a node-cache
+        for (const limit of ['maxKeys', 'maxBytes'])
         {
-            mcode.warn(`Invalid cache type: ${namespace.type}, selected for namespace: ${namespace.name}, must be 'node' or 'redis'.`, MODULE_NAME);
+            if (namespace[limit] !== undefined && (typeof namespace[limit] !== 'number' || namespace[limit] < 0))
+            {
+                mcode.warn(`Invalid ${limit}: ${namespace[limit]}, selected for namespace: ${namespace.name}, must be a number >= 0.`, MODULE_NAME);
+                return;
+            }
+
+            if (namespace[limit] && namespace.type === 'redis')
+            {
+                mcode.warn(`Invalid ${limit} for namespace: ${namespace.name}, only 'node' and 'hybrid' namespaces are bounded, use Redis 'maxmemory'.`, MODULE_NAME);
+                return;
+            }
+        }
+
+        // the optional eviction policy must be 'lru' or 'lfu'
+        if (namespace.policy !== undefined && namespace.policy !== 'lru' && namespace.policy !== 'lfu')
+        {
+            mcode.warn(`Invalid policy: ${namespace.policy}, selected for namespace: ${namespace.name}, must be 'lru' or 'lfu'.`, MODULE_NAME);
+            return;
+        }
+
+        // the optional codec must be able to encode and decode values
+        if (namespace.codec !== undefined && !cache._isCodec(namespace.codec))
+        {
+            mcode.warn(`Invalid codec selected for namespace: ${namespace.name}, it must have 'encode()' and 'decode()' functions.`, MODULE_NAME);
+            return;
+        }
+
+        // the optional Redis command timeout must be a number of seconds > 0
+        if (namespace.timeout !== undefined && (typeof namespace.timeout !== 'number' || namespace.timeout <= 0))
+        {
+            mcode.warn(`Invalid timeout: ${namespace.timeout}, selected for namespace: ${namespace.name}, must be a number of seconds > 0.`, MODULE_NAME);
+            return;
+        }
+
+        // the optional fallback must be 'loader' or 'shadow'
+        if (namespace.fallback !== undefined && namespace.fallback !== 'loader' && namespace.fallback !== 'shadow')
+        {
+            mcode.warn(`Invalid fallback: ${namespace.fallback}, selected for namespace: ${namespace.name}, must be 'loader' or 'shadow'.`, MODULE_NAME);
             return;
         }
 
-        // When we add the 1st Redis namespace, initialize the Redis client
-        if (namespace.type === 'redis' && !this.#redis)
+        // Each Redis namespace gets the Redis client for its own server, shared with namespaces on the same server
+        if (namespace.type === 'redis' || namespace.type === 'hybrid')
         {
             // if no Redis url is provided, use the default
             if (!namespace.url)
@@ -431,16 +1035,23 @@ class cache
                 namespace.password = null;
             }
 
-            this.#redisURL = `${namespace.url}`;
-            this.#redisPort = `${namespace.port}`;
-            this.#redisUser = `${namespace.user}`;
-            this.#redisPassword = `${namespace.password}`;
-
-            this._redisInit();
+            namespace.connection = this._redisInit(namespace);
         }
 
         // add the namespace to the cache server
         this.#cacheNamespaces[namespace.name] = namespace.type;
+        this.#namespaceConfigs[namespace.name] = {...namespace};
+
+        // resolve the optional Redis load lock against the defaults
+        if (namespace.lock)
+        {
+            this.#namespaceConfigs[namespace.name].lock = {
+                ttl: cache.LOCK_TTL,
+                wait: cache.LOCK_WAIT,
+                retry: cache.LOCK_RETRY,
+                ...(typeof namespace.lock === 'object' ? namespace.lock : {})
+            };
+        }
 
         mcode.success(`Added namespace: '${namespace.name}`, MODULE_NAME);
     }
@@ -450,13 +1061,14 @@ class cache
      * @memberof mcode.cache
      * @desc Converts a 'key source' into a cache Key by replacing slashes with colons and removing spaces.
      * @param {string} keySource the path to the key to be converted.
+     * @param {string} [namespace] the namespace of the Key, default is the current namespace.
      * @returns {string} the cache Key.
      * @api public
      * @example
      *     const keyPath = 'components/app/tool/tool.template.htmx';
      *     returns 'GM-GPS-eMITS-UI:components:app:tool:tool.template.htmx';
      */
-    cacheMakeKey(keySource)
+    cacheMakeKey(keySource, namespace = this.cacheNamespace)
     {
         // convert the file path into a cache Key
         let key = keySource.replace(/[\\/]/g, ':'); // Handle both forward and backward slashes
@@ -474,7 +1086,7 @@ class cache
         key = key.replace(/^:+|:+$/g, '');
 
         // now, make it specific to the caller's namespace..
-        return `${this.cacheNamespace}:${key}`;
+        return `${namespace}:${key}`;
     }
 
     /**
@@ -483,21 +1095,39 @@ class cache
      * @desc Caches the results of a callback function in cache under the current namespace and returns the key's value.
      * @param {string} key the app key to get from the current namespace.
      * @param {function} cb the callback function to get fresh value.
+     * @param {object} [options] optional settings for this key.
+     * @param {number} [options.ttl] the Time-To-Live, in seconds, used if the value is fetched by 'cb'.
+     * @param {number} [options.negativeTtl] the Time-To-Live, in seconds, if 'cb' returns null or undefined ('not found'),
+     * defaults to the namespace 'negativeTtl', 0 = do not cache 'not found'.
+     * @param {Array} [options.tags] the tags for the value if it is fetched by 'cb', see cacheDropTag().
+     * @param {string} [options.namespace] the namespace of the key, default is the current namespace.
      * @returns {Promise} the cached value.
+     * @example
+     *     const value = await mcode.cacheGet('myKey', () => fetchMyValue(), {ttl: 60});
+     *     const row = await mcode.cacheGet(`user:${id}`, () => db.findUser(id), {negativeTtl: 10});
+     *     const report = await mcode.cacheGet(`reports:${id}`, () => buildReport(id), {tags: [`user:${userId}`, 'reports']});
      */
-    async cacheGet(key, cb = () => {return "<not defined>";})
+    async cacheGet(key, cb = () => {return "<not defined>";}, {ttl, negativeTtl, tags, namespace} = {})
     {
         // make the auto-generated cache key for the 'key' - get from current namespace, add if not cached
-        const cacheKey = this.fileMakeKey(key);
+        const thisNamespace = this._namespaceResolve(namespace);
+        const cacheKey = this.fileMakeKey(key, thisNamespace);
 
-        // get the value from the cache associated with the current namespace
-        if (this.#cacheNamespaces[this.#cacheNamespace] === 'redis')
+        if (!cache._isTags(tags))
         {
-            // use the Redis client
-            return await this.#redis.get(cacheKey);
+            mcode.warn(`Invalid tags for key: ${cacheKey}, they must be an Array of non-empty strings.`, MODULE_NAME);
+            tags = undefined;
         }
 
-        return await this._cacheGet(cacheKey, cb);
+        // resolve the TTLs for a fresh value from the options, the namespace, or the cache default
+        const options = {
+            ttl: this._namespaceTTL(thisNamespace, ttl),
+            negativeTtl: this._namespaceNegativeTTL(thisNamespace, negativeTtl),
+            tags
+        };
+
+        // get the value from the cache associated with the current namespace
+        return await this._namespaceGet(cacheKey, cb, options);
     }
 
     /**
@@ -506,21 +1136,87 @@ class cache
      * @desc Sets a key value in the cache.
      * @param {string} key the app key to be set into current namespace.
      * @param {string} value the value to be set in the cache.
+     * @param {object} [options] optional settings for this key.
+     * @param {number} [options.ttl] the Time-To-Live, in seconds, defaults to the namespace 'ttl' or 'cacheTTL'.
+     * @param {Array} [options.tags] tags for the key, it keeps them until it is dropped or expires, see cacheDropTag().
+     * @param {string} [options.namespace] the namespace of the key, default is the current namespace.
      * @returns {string} the value set in the cache.
+     * @example
+     *     await mcode.cacheSet('myKey', 'myValue', {ttl: 60});
+     *     await mcode.cacheSet(`profile:${id}`, profile, {tags: [`user:${id}`]});
      */
-    async cacheSet(key, value)
+    async cacheSet(key, value, {ttl, tags, namespace} = {})
     {
         // make the auto-generated cache key for the 'key' - set into current namespace
-        const cacheKey = this.fileMakeKey(key);
+        const thisNamespace = this._namespaceResolve(namespace);
+        const cacheKey = this.fileMakeKey(key, thisNamespace);
+
+        if (!cache._isTags(tags))
+        {
+            mcode.warn(`Invalid tags for key: ${cacheKey}, they must be an Array of non-empty strings.`, MODULE_NAME);
+            return;
+        }
+
+        // resolve the TTL for this key from the option, the namespace, or the cache default
+        const keyTTL = this._namespaceTTL(thisNamespace, ttl);
 
         // set the value in the cache associated with the current namespace
-        if (this.#cacheNamespaces[this.#cacheNamespace] === 'redis')
+        return await this._namespaceSet(cacheKey, value, keyTTL, tags);
+    }
+
+    /**
+     * @func cacheGetTTL
+     * @memberof mcode.cache
+     * @desc Gets the remaining Time-To-Live of a key in the current namespace.
+     * @param {string} key the app key to be checked.
+     * @returns {number} the remaining TTL in seconds, -1 if the key never expires, -2 if the key does not exist.
+     * @api public
+     * @example
+     *     const secondsLeft = await mcode.cacheGetTTL('myKey');
+     */
+    async cacheGetTTL(key)
+    {
+        // make the auto-generated cache key for the 'key' - check in current namespace
+        const cacheKey = this.fileMakeKey(key);
+
+        // a 'hybrid' key lives as long as its Redis (L2) copy
+        if (this._namespaceType(cacheKey) === 'node')
         {
-            // use the Redis client
-            return await this.#redis.set(cacheKey, value);
+            return await this._cacheGetTTL(cacheKey);
         }
 
-        return await this._cacheSet(cacheKey, value);
+        return await this._redisGetTTL(cacheKey);
+    }
+
+    /**
+     * @func cacheSetTTL
+     * @memberof mcode.cache
+     * @desc Sets (extends or shortens) the remaining Time-To-Live of an existing key in the current namespace.
+     * @param {string} key the app key to be changed.
+     * @param {number} ttl the new Time-To-Live, in seconds from now (0 = never expire).
+     * @returns {boolean} true if the key exists and its TTL was changed.
+     * @api public
+     * @example
+     *     const extended = await mcode.cacheSetTTL('myKey', 60 * 60);
+     */
+    async cacheSetTTL(key, ttl)
+    {
+        // make the auto-generated cache key for the 'key' - change in current namespace
+        const cacheKey = this.fileMakeKey(key);
+
+        switch (this._namespaceType(cacheKey))
+        {
+            case 'redis':
+                return await this._redisSetTTL(cacheKey, ttl);
+
+            case 'hybrid':
+                // the L1 copy never outlives the L2 copy
+                await this._cacheSetTTL(cacheKey, this._hybridL1TTL(cacheKey, ttl));
+                return await this._redisSetTTL(cacheKey, ttl);
+
+            default:
+                return await this._cacheSetTTL(cacheKey, ttl);
+        }
     }
 
     /**
@@ -528,40 +1224,256 @@ class cache
      * @memberof mcode.cache
      * @desc Drops a key value from the cache based on the 'key' name.
      * @param {string} key the app key to be droppped.
+     * @param {object} [options] optional settings.
+     * @param {string} [options.namespace] the namespace of the key, default is the current namespace.
      * @returns {number} the number of keys deleted from the cache.
      * @api public
      * @example
      *     const count = await mcode.cacheDrop(keyName);
+     *     const count = await mcode.cacheDrop(keyName, {namespace: 'GM-GPS-eMITS-DB'});
      */
-    async cacheDrop(key)
+    async cacheDrop(key, {namespace} = {})
     {
         // make the auto-generated cache key for the 'key' - drop from current namespace
-        const cacheKey = this.fileMakeKey(key);
+        const cacheKey = this.fileMakeKey(key, this._namespaceResolve(namespace));
 
         // delete the value from the cache associated with the current namespace
-        if (this.#cacheNamespaces[this.#cacheNamespace] === 'redis')
+        return await this._namespaceDrop(cacheKey);
+    }
+
+    /**
+     * @func cacheGetMany
+     * @memberof mcode.cache
+     * @desc Gets many keys of one namespace in a single round trip, node-cache 'mget' or Redis 'MGET', and loads
+     * the missing ones with one call of 'loader', which gets only the missing app keys, and returns their values
+     * as an Array in the same order, or an Object (or Map) of key: value.
+     * @param {Array} keys the app keys to get.
+     * @param {function} [loader] the function to get fresh values for the missing keys, without it they are undefined.
+     * @param {object} [options] optional settings for the keys, as for cacheGet().
+     * @param {number} [options.ttl] the Time-To-Live, in seconds, used for values fetched by 'loader'.
+     * @param {number} [options.negativeTtl] the Time-To-Live, in seconds, for values 'loader' returns as null or undefined.
+     * @param {Array} [options.tags] the tags for the values fetched by 'loader', see cacheDropTag().
+     * @param {string} [options.namespace] the namespace of the keys, default is the current namespace.
+     * @returns {Promise<Array>} the values, in the order of 'keys'.
+     * @api public
+     * @example
+     *     const users = await mcode.cacheGetMany(ids.map(id => `user:${id}`), (missing) => db.findUsers(missing));
+     */
+    async cacheGetMany(keys, loader, {ttl, negativeTtl, tags, namespace} = {})
+    {
+        if (!Array.isArray(keys))
+        {
+            throw new Error(`cacheGetMany() needs an Array of keys.`);
+        }
+
+        const thisNamespace = this._namespaceResolve(namespace);
+        const cacheKeys = keys.map(key => this.fileMakeKey(key, thisNamespace));
+
+        if (!cache._isTags(tags))
+        {
+            mcode.warn(`Invalid tags for keys in namespace: ${thisNamespace}, they must be an Array of non-empty strings.`, MODULE_NAME);
+            tags = undefined;
+        }
+
+        // resolve the TTLs for fresh values from the options, the namespace, or the cache default
+        const options = {
+            ttl: this._namespaceTTL(thisNamespace, ttl),
+            negativeTtl: this._namespaceNegativeTTL(thisNamespace, negativeTtl),
+            tags
+        };
+
+        const found = await this._namespaceGetMany(cacheKeys, options);
+
+        // the same key asked for twice is loaded once
+        const missing = [];
+        const missingKeys = [];
+
+        keys.forEach((key, index) =>
+        {
+            if (!found.has(cacheKeys[index]) && !missingKeys.includes(cacheKeys[index]))
+            {
+                missing.push(key);
+                missingKeys.push(cacheKeys[index]);
+            }
+        });
+
+        if (missing.length > 0 && typeof loader === 'function')
+        {
+            const backend = (this.#cacheNamespaces[thisNamespace] === 'node') ? 'node' : 'redis';
+            const fresh = await this._statsLoad(thisNamespace, backend, () => loader(missing));
+            const entries = [];
+
+            missing.forEach((key, index) =>
+            {
+                let value;
+
+                if (Array.isArray(fresh))
+                {
+                    value = fresh[index];
+                }
+                else if (fresh instanceof Map)
+                {
+                    value = fresh.get(key);
+                }
+                else if (fresh)
+                {
+                    value = fresh[key];
+                }
+
+                found.set(missingKeys[index], value);
+
+                const freshTTL = this._freshTTL(value, options);
+
+                if (freshTTL !== null)
+                {
+                    entries.push({cacheKey: missingKeys[index], value: value, ttl: freshTTL});
+                }
+            });
+
+            await this._namespaceSetMany(entries, tags);
+        }
+
+        return cacheKeys.map(cacheKey => found.get(cacheKey));
+    }
+
+    /**
+     * @func cacheSetMany
+     * @memberof mcode.cache
+     * @desc Sets many keys of one namespace in a single round trip, node-cache 'mset' or a Redis MULTI.
+     * @param {Array|object} entries an Array of {key, value, ttl}, or an Object of key: value.
+     * @param {object} [options] optional settings for the keys.
+     * @param {number} [options.ttl] the Time-To-Live, in seconds, of entries without their own 'ttl',
+     * defaults to the namespace 'ttl' or 'cacheTTL'.
+     * @param {Array} [options.tags] tags for every key, see cacheDropTag().
+     * @param {string} [options.namespace] the namespace of the keys, default is the current namespace.
+     * @api public
+     * @example
+     *     await mcode.cacheSetMany([{key: 'user:1', value: user1}, {key: 'user:2', value: user2, ttl: 60}]);
+     *     await mcode.cacheSetMany({'color:red': '#f00', 'color:green': '#0f0'}, {ttl: 0});
+     */
+    async cacheSetMany(entries, {ttl, tags, namespace} = {})
+    {
+        if (!entries || typeof entries !== 'object')
+        {
+            throw new Error(`cacheSetMany() needs an Array of {key, value, ttl} or an Object of key: value.`);
+        }
+
+        const thisNamespace = this._namespaceResolve(namespace);
+
+        if (!cache._isTags(tags))
+        {
+            mcode.warn(`Invalid tags for keys in namespace: ${thisNamespace}, they must be an Array of non-empty strings.`, MODULE_NAME);
+            return;
+        }
+
+        const list = Array.isArray(entries) ? entries : Object.entries(entries).map(([key, value]) => ({key, value}));
+
+        return await this._namespaceSetMany(list.map(entry => ({
+            cacheKey: this.fileMakeKey(entry.key, thisNamespace),
+            value: entry.value,
+            ttl: this._namespaceTTL(thisNamespace, (entry.ttl !== undefined) ? entry.ttl : ttl)
+        })), tags);
+    }
+
+    /**
+     * @func cacheDropMany
+     * @memberof mcode.cache
+     * @desc Drops many keys of one namespace in a single round trip, node-cache 'del' or a Redis MULTI.
+     * @param {Array} keys the app keys to be dropped.
+     * @param {object} [options] optional settings.
+     * @param {string} [options.namespace] the namespace of the keys, default is the current namespace.
+     * @returns {number} the number of keys deleted from the cache.
+     * @api public
+     * @example
+     *     const count = await mcode.cacheDropMany(ids.map(id => `user:${id}`));
+     */
+    async cacheDropMany(keys, {namespace} = {})
+    {
+        if (!Array.isArray(keys))
+        {
+            throw new Error(`cacheDropMany() needs an Array of keys.`);
+        }
+
+        const thisNamespace = this._namespaceResolve(namespace);
+
+        return await this._namespaceDropMany([...new Set(keys.map(key => this.fileMakeKey(key, thisNamespace)))]);
+    }
+
+    /**
+     * @func cacheDropTag
+     * @memberof mcode.cache
+     * @desc Drops every key with a tag, whatever its path, from one namespace or all of them.
+     * @param {string} tag the tag set on the keys by cacheSet() or cacheGet().
+     * @param {object} [options] optional filter.
+     * @param {string} [options.namespace] the namespace to drop the keys from, default is all ('*').
+     * @returns {number} the number of keys dropped from the cache.
+     * @api public
+     * @example
+     *     const count = await mcode.cacheDropTag(`user:${id}`);
+     *     const count = await mcode.cacheDropTag('reports', {namespace: 'GM-GPS-eMITS-RPT'});
+     */
+    async cacheDropTag(tag, {namespace = '*'} = {})
+    {
+        let result = 0;
+
+        for (const thisNamespace in this.#cacheNamespaces)
         {
-            // use the Redis client
-            return await this._redisDrop(cacheKey);
+            if (thisNamespace !== namespace && namespace !== '*')
+            {
+                continue;
+            }
+
+            const tiers = this._namespaceTiers(this.#cacheNamespaces[thisNamespace], '*');
+
+            // a 'hybrid' key is tagged in both caches, drop it once
+            const taggedKeys = new Set();
+
+            if (tiers.node)
+            {
+                for (const cacheKey of this.#cacheTags.get(tag) || [])
+                {
+                    if (this._namespaceOf(cacheKey) === thisNamespace)
+                    {
+                        taggedKeys.add(cacheKey);
+                    }
+                }
+            }
+
+            if (tiers.redis && this.#redisEnabled)
+            {
+                (await this._redisTagged(thisNamespace, tag)).forEach(cacheKey => taggedKeys.add(cacheKey));
+            }
+
+            for (const cacheKey of taggedKeys)
+            {
+                if (await this._namespaceDrop(cacheKey) > 0)
+                {
+                    result++;
+                }
+            }
         }
 
-        return await this._cacheDrop(cacheKey);
+        return result;
     }
 
     /**
      * @func cacheDropAll
      * @memberof mcode.cache
-     * @desc Drops all keys from the cache based on the App's namespace.
-     * @param {string} cache the cache to drop all keys from.
+     * @desc Drops all keys from the cache based on the App's namespace, found with cacheScan() and dropped in batches
+     * of 'count' keys, one round trip each, so a large purge never blocks Redis.
+     * @param {string} cache the cache to drop all keys from, 'node', 'redis' or '*' ('hybrid' namespaces are in both).
      * @param {string} namespace the namespace to drop all keys from.
      * @param {string} pattern the key pattern to drop all keys from.
+     * @param {number} [count] the most keys dropped per batch, default is SCAN_COUNT (100).
+     * @param {function} [onProgress] called after each batch with {namespace, dropped}, the keys dropped so far.
      * @returns {number} the number of keys deleted from the cache.
      * @api public
      * @example
      *    const result = await mcode.cacheDropAll();
      *    const result = await mcode.cacheDropAll({cache: 'redis', namespace: 'GM-GPS-eMITS-DB', pattern: '*'});
+     *    const result = await mcode.cacheDropAll({namespace: 'GM-GPS-eMITS-DB', onProgress: (p) => mcode.info(`${p.dropped} dropped`)});
      */
-    async cacheDropAll({cache = '*', namespace = '*', pattern = '*'})
+    async cacheDropAll({cache: cacheFilter = '*', namespace = '*', pattern = '*', count = cache.SCAN_COUNT, onProgress} = {})
     {
         let result = 0;
 
@@ -569,26 +1481,49 @@ class cache
         {
             if (thisNamespace === namespace || namespace === '*')
             {
-                const cacheType = this.#cacheNamespaces[thisNamespace];
+                const tiers = this._namespaceTiers(this.#cacheNamespaces[thisNamespace], cacheFilter);
 
-                if (cacheType === 'node' && (cache === 'node' || cache === '*'))
+                if (tiers.redis)
                 {
-                    // Get keys from the Node cache
-                    const nodeKeys = await this._cacheKeys(`${thisNamespace}:${pattern}`);
-                    result += nodeKeys.length;
+                    // drop the Redis keys, and the L1 copies of 'hybrid' keys with them, so each is counted once
+                    const keys = this.cacheScan({cache: 'redis', namespace: thisNamespace, pattern: pattern, count: count});
+
+                    for await (const batch of this._scanBatches(keys, count))
+                    {
+                        result += await this._redisDropSafe(batch);
 
-                    // Delete all keys from the Node cache
-                    await Promise.all(nodeKeys.map(key => this.#cache.del(key)));
+                        if (tiers.node)
+                        {
+                            await this._cacheDropMany(batch);
+                        }
+
+                        if (onProgress)
+                        {
+                            onProgress({namespace: thisNamespace, dropped: result});
+                        }
+                    }
                 }
 
-                if (cacheType === 'redis' && (cache === 'redis' || cache === '*'))
+                if (tiers.node)
                 {
-                    // Get keys from the Redis client
-                    const redisKeys = await this.#redis.keys(`${thisNamespace}:${pattern}`);
-                    result += redisKeys.length;
+                    // ...then whatever is left in the Node cache
+                    const keys = this.cacheScan({cache: 'node', namespace: thisNamespace, pattern: pattern});
+
+                    for await (const batch of this._scanBatches(keys, count))
+                    {
+                        result += await this._cacheDropMany(batch);
 
-                    // Delete all keys from the Redis cache
-                    await Promise.all(redisKeys.map(key => this.#redis.del(key)));
+                        if (onProgress)
+                        {
+                            onProgress({namespace: thisNamespace, dropped: result});
+                        }
+                    }
+                }
+
+                // ...and from the node-cache of the other App instances, including 'hybrid' L1 copies of dropped L2 keys
+                if (this.#cacheNamespaces[thisNamespace] !== 'redis' && (tiers.node || tiers.redis))
+                {
+                    this._busPublish({op: 'dropAll', namespace: thisNamespace, pattern: pattern});
                 }
             }
         }
@@ -600,8 +1535,8 @@ class cache
     /**
      * @func cacheListAll
      * @memberof mcode.cache
-     * @desc Lists all keys from the cache based on the App's namespace.
-     * @param {string} cache the cache to list all keys from.
+     * @desc Lists all keys from the cache based on the App's namespace, found with cacheScan().
+     * @param {string} cache the cache to list all keys from, 'node', 'redis' or '*' ('hybrid' namespaces are in both).
      * @param {string} namespace the namespace to list all keys from.
      * @param {string} pattern the key pattern to list all keys from.
      * @returns {Array} an array of namespace keys in the cache.
@@ -610,507 +1545,4624 @@ class cache
      *    const result = await mcode.cacheListAll();
      *    const result = await mcode.cacheListAll({cache: 'node', namespace: '*', keyStar: '*'});
      */
-    async cacheListAll({cache = '*', namespace = '*', pattern = '*'})
+    async cacheListAll({cache: cacheFilter = '*', namespace = '*', pattern = '*'} = {})
     {
-        let keys = [];
+        // SCAN may return a key more than once, list it once
+        const keys = new Set();
 
-        for (const thisNamespace in this.#cacheNamespaces)
+        for await (const cacheKey of this.cacheScan({cache: cacheFilter, namespace: namespace, pattern: pattern}))
         {
-            if (thisNamespace === namespace || namespace === '*')
-            {
-                const cacheType = this.#cacheNamespaces[thisNamespace];
-
-                if (cacheType === cache || cache === '*')
-                {
-                    if (cacheType === 'node')
-                    {
-                        // use the Node cache - NOTE: node-cache.keys() does not support wildcards
-                        keys = keys.concat(await this._cacheKeys(`${thisNamespace}:${pattern}`));
-                    }
-                    if (cacheType === 'redis')
-                    {
-                        // use the Redis client
-                        keys = keys.concat(await this.#redis.keys(`${thisNamespace}:${pattern}`));
-                    }
-                }
-            }
+            keys.add(cacheKey);
         }
 
-        return keys;
+        return [...keys];
     }
 
     /**
-     * @func cacheOn
+     * @func cacheInspect
      * @memberof mcode.cache
-     * @desc Turns ON caching in the Node caches.
+     * @desc Describes the keys of the cache, for support tools, without counting them as hits or changing them.
+     * A 'hybrid' key is described from Redis (L2), the copy every App instance shares.
+     * @param {object} [options] optional filters.
+     * @param {string} [options.namespace] the namespace to inspect, default is all ('*').
+     * @param {string} [options.pattern] the key pattern to inspect, default is all ('*').
+     * @param {number} [options.limit] the most keys to describe, default is INSPECT_LIMIT (100), no limit for a 'stream'.
+     * @param {number} [options.preview] the most characters of each value to show, default is 0, no preview.
+     * @param {boolean} [options.stream] true for an async iterator of the keys, one batch at a time, to total a whole
+     * namespace without holding every key in memory, default is false, an Array.
+     * @returns {Promise<Array>|AsyncIterator} [{key, cacheKey, namespace, backend, ttl, size, type, cachedAt, tags, preview}],
+     * the TTL in seconds (-1 never expires), the size in bytes (approximate for 'node'), 'cachedAt' a Date, or null if unknown.
      * @api public
+     * @example
+     *     const keys = await mcode.cacheInspect({namespace: 'GM-GPS-eMITS-DB', pattern: 'users:*', preview: 80});
+     *     for await (const key of mcode.cacheInspect({namespace: 'GM-GPS-eMITS-DB', stream: true})) { bytes += key.size; }
      */
-    async cacheOn()
+    cacheInspect({namespace = '*', pattern = '*', limit, preview = 0, stream = false} = {})
     {
-        this.#cacheEnabled = true;
+        const rows = this._inspectScan({
+            namespace: namespace,
+            pattern: pattern,
+            limit: limit ?? (stream ? Infinity : cache.INSPECT_LIMIT),
+            preview: preview
+        });
+
+        return stream ? rows : this._inspectReport(rows);
     }
 
     /**
-     * @func cacheOff
+     * @func cacheAdmin
      * @memberof mcode.cache
-     * @desc Turns OFF caching in the Node caches.
+     * @desc Makes a request handler, (req, res, next), for support pages that browse and purge the cache, usable as
+     * Express or Connect middleware, or from a plain Node HTTP server. Requests with an 'HX-Request' header get an
+     * HTMX (HTML) fragment, others get JSON. Requests outside 'basePath' are passed to 'next', or get a 404.
+     *
+     *     GET    /                                  the cache and Redis state, and each namespace ready state
+     *     GET    /namespaces                        the namespaces and their types
+     *     GET    /keys?namespace=&pattern=&limit=   the keys, see cacheInspect()
+     *     GET    /key?namespace=&key=               the value of a key, its TTL and its tags
+     *     DELETE /key?namespace=&key=               drops a key
+     *     DELETE /keys?namespace=&pattern=          drops the keys that match, see cacheDropAll()
+     *     POST   /cache/on, /cache/off              turns the node-cache on or off, see cacheOn() and cacheOff()
+     *     POST   /redis/on, /redis/off              turns Redis on or off, see redisOn() and redisOff()
+     *
+     * @param {object} [options] optional settings.
+     * @param {function} [options.authorize] called as authorize(req, action) for every route, a false (or a Promise of
+     * false) answers 403, 'action' is 'status', 'namespaces', 'keys', 'value', 'drop', 'dropAll', 'cacheOn',
+     * 'cacheOff', 'redisOn' or 'redisOff'.
+     * @param {boolean} [options.readOnly] true to answer 403 to every route that changes the cache, default is false.
+     * @param {string} [options.basePath] the path the routes are under, default is '' for a mounted middleware.
+     * @returns {function} the request handler, async (req, res, next).
      * @api public
+     * @example
+     *     app.use('/support/cache', mcode.cacheAdmin({authorize: (req) => req.user && req.user.isAdmin}));
+     *     http.createServer(mcode.cacheAdmin({basePath: '/cache', readOnly: true})).listen(8080);
      */
-    async cacheOff()
+    cacheAdmin({authorize, readOnly = false, basePath = ''} = {})
     {
-        this.#cacheEnabled = false;
-        this.cacheDropAll({cache: 'node', namespace: '*', pattern: '*'});
+        if (authorize !== undefined && typeof authorize !== 'function')
+        {
+            throw new Error(`cacheAdmin() 'authorize' must be a function, (req, action) => true to allow.`);
+        }
+
+        const base = basePath.replace(/\/+$/, '');
+
+        return async (req, res, next) =>
+        {
+            const url = new URL(req.url, 'http://localhost');
+
+            if (url.pathname !== base && !url.pathname.startsWith(`${base}/`))
+            {
+                if (typeof next === 'function')
+                {
+                    return next();
+                }
+
+                return this._adminSend(res, 404, {error: `Not found: ${url.pathname}`}, null);
+            }
+
+            const action = cache.ADMIN_ROUTES[`${req.method} ${url.pathname.slice(base.length) || '/'}`];
+
+            // HTMX asks for HTML, its paths are seen from the browser, so they include the Express mount path
+            const view = (req.headers && req.headers['hx-request'] === 'true') ?
+                {action: action, params: url.searchParams, readOnly: readOnly, root: `${req.baseUrl || ''}${base}`} : null;
+
+            if (!action)
+            {
+                return this._adminSend(res, 404, {error: `Not found: ${req.method} ${url.pathname}`}, view);
+            }
+
+            try
+            {
+                if (authorize && !(await authorize(req, action)))
+                {
+                    return this._adminSend(res, 403, {error: `Not authorized: ${action}`}, view);
+                }
+
+                if (readOnly && req.method !== 'GET')
+                {
+                    return this._adminSend(res, 403, {error: `The cache admin is read-only: ${action}`}, view);
+                }
+
+                const [status, body] = await this._adminAction(action, url.searchParams);
+
+                return this._adminSend(res, status, body, view);
+            }
+            catch (exp)
+            {
+                mcode.exp(`Exception in cache admin action: ${action}`, MODULE_NAME, exp);
+
+                return this._adminSend(res, 500, {error: exp.message}, view);
+            }
+        };
     }
 
     /**
-     * @func redisOn
-     * @memberof mcode.redis
-     * @desc Turns ON caching in the Redis caches.
+     * @func cacheCopy
+     * @memberof mcode.cache
+     * @desc Copies, or moves, the keys of one namespace that match a pattern into another namespace, on any backend,
+     * 'node' to 'redis', one Redis server to another, or a rename. Each key keeps its path under the new namespace
+     * prefix, its remaining TTL and its tags. Keys that expire during the copy, or that already exist in the target
+     * when 'overwrite' is false, are skipped. A key that fails does not stop the others.
+     * @param {object} options the copy.
+     * @param {string} options.from the namespace to copy the keys from.
+     * @param {string} options.to the namespace to copy the keys to.
+     * @param {string} [options.pattern] the key pattern to copy, default is all ('*').
+     * @param {boolean} [options.move] true to drop each key from 'from' once it is copied, default is false.
+     * @param {boolean} [options.preserveTtl] false to give the keys the 'to' namespace TTL, default is true.
+     * @param {boolean} [options.overwrite] false to skip keys that already exist in 'to', default is true.
+     * @returns {Promise<object>} {copied: [{from, to}], skipped: [{key, reason}], failed: [{key, error}]}.
      * @api public
+     * @example
+     *     const report = await mcode.cacheCopy({from: 'GM-GPS-eMITS-DB', to: 'GM-GPS-eMITS-DB-REDIS', move: true});
+     *     const report = await mcode.cacheCopy({from: 'MicroCODE', to: 'MicroCODE-v2', pattern: 'users:*', overwrite: false});
      */
-    async redisOn()
+    async cacheCopy({from, to, pattern = '*', move = false, preserveTtl = true, overwrite = true} = {})
     {
-        this.#redisEnabled = true;
+        if (!from || !to || from === to)
+        {
+            throw new Error(`cacheCopy() needs two different namespaces, 'from' and 'to'.`);
+        }
+
+        this._namespaceResolve(from);
+        this._namespaceResolve(to);
+
+        const report = {copied: [], skipped: [], failed: []};
+        const keys = await this.cacheListAll({namespace: from, pattern: pattern});
+
+        for (const fromKey of keys)
+        {
+            const toKey = `${to}:${fromKey.slice(from.length + 1)}`;
+
+            try
+            {
+                const source = await this._namespacePeek(fromKey);
+
+                // 0 seconds left is as good as expired
+                if (!source.found || source.ttl === 0)
+                {
+                    report.skipped.push({key: fromKey, reason: 'expired'});
+                    continue;
+                }
+
+                if (!overwrite && (await this._namespacePeek(toKey)).found)
+                {
+                    report.skipped.push({key: fromKey, reason: 'exists'});
+                    continue;
+                }
+
+                const ttl = preserveTtl ? Math.max(source.ttl, 0) : this._namespaceTTL(to);
+
+                await this._namespaceSet(toKey, source.value, ttl, source.tags.length > 0 ? source.tags : undefined);
+
+                if (move)
+                {
+                    await this._namespaceDrop(fromKey);
+                }
+
+                report.copied.push({from: fromKey, to: toKey});
+            }
+            catch (exp)
+            {
+                mcode.exp(`Exception copying key: ${fromKey} to namespace: ${to}`, MODULE_NAME, exp);
+                report.failed.push({key: fromKey, error: exp.message});
+            }
+        }
+
+        mcode.done(`${move ? 'Moved' : 'Copied'} ${report.copied.length} key(s) from: ${from} to: ${to}, ` +
+            `skipped ${report.skipped.length}, failed ${report.failed.length}.`, MODULE_NAME);
+
+        return report;
     }
 
     /**
-     * @func redisOff
-     * @memberof mcode.redis
-     * @desc Turns OFF caching in the Redis caches.
+     * @func withNamespace
+     * @memberof mcode.cache
+     * @desc Runs a function with its own current namespace, kept through every 'await' inside it, so concurrent
+     * requests can each use their own namespace without changing the default 'cacheNamespace' of the others.
+     * @param {string} name the namespace, it must already exist, see addNamespace().
+     * @param {function} fn the (async) function to run.
+     * @returns {any} the result of 'fn'.
      * @api public
+     * @example
+     *     app.use((req, res, next) => mcode.withNamespace(req.tenant.namespace, next));
+     *     const rows = await mcode.withNamespace('GM-GPS-eMITS-DB', async () => mcode.cacheGet('rows', fetchRows));
      */
-    async redisOff()
+    withNamespace(name, fn)
     {
-        this.#redisEnabled = false;
-        this.cacheDropAll({cache: 'redis', namespace: '*', pattern: '*'});
+        return this.#namespaceScope.run(this._namespaceResolve(name), fn);
     }
 
     /**
-     * @func cacheClose
+     * @func memoize
      * @memberof mcode.cache
-     * @desc Closes the cache connection.
-     * @returns {status} the cache client connection.
+     * @desc Wraps an async function so its results are cached by its arguments, in a namespace fixed when it is wrapped.
+     * Keys are '<namespace>:memo:<name>:<arguments>', the arguments serialized the same whatever the order of their
+     * object keys (hashed if long), or made by 'keyFn'. The wrapper has drop(...args) to drop one result and clear()
+     * to drop them all. A name can only be used by one function per namespace, a second function with the same name,
+     * i.e. 'usersRepo.find' and 'ordersRepo.find', or two bound 'get' methods, throws until it is given its own 'name'.
+     * @param {function} fn the async function to be cached.
+     * @param {object} [options] optional settings.
+     * @param {string} [options.namespace] the namespace of the results, default is the current namespace.
+     * @param {number} [options.ttl] the Time-To-Live of a result, in seconds, defaults to the namespace 'ttl' or 'cacheTTL'.
+     * @param {number} [options.negativeTtl] the Time-To-Live of a null or undefined result, see cacheGet().
+     * @param {function} [options.keyFn] makes the key from the arguments, (...args) => string.
+     * @param {Array|function} [options.tags] the tags of each result, or (...args) => tags, see cacheDropTag().
+     * @param {string} [options.name] the name in the keys, default is the function's name, required if it has none,
+     * or if another function of the namespace has the same name.
+     * @returns {function} the cached function, with drop(...args) and clear().
      * @api public
      * @example
-     *   const result = await mcode.cacheClose();
+     *     const findUser = mcode.memoize(db.findUser, {namespace: 'GM-GPS-eMITS-DB', ttl: 300, tags: (id) => [`user:${id}`]});
+     *     const user = await findUser(42);
+     *     await findUser.drop(42);
+     *     await findUser.clear();
      */
-    async cacheClose()
+    memoize(fn, {namespace = this.cacheNamespace, ttl, negativeTtl, keyFn, tags, name = fn && fn.name} = {})
     {
-        if (this.#cache)
+        if (typeof fn !== 'function')
         {
-            this.#cache = null;
+            throw new Error(`memoize() needs a function to cache.`);
         }
 
-        if (this.#redis)
+        if (!this.#cacheNamespaces[namespace])
         {
-            this.#redis.quit();
-            this.#redis = null;
+            throw new Error(`memoize() namespace: ${namespace} does not exist, add it with addNamespace().`);
         }
-    }
 
-    /**
-     * @func fileRead
-     * @memberof mcode
-     * @desc Reads a file from 'path' and caches its for future reference. The cache 'key' generated
-     * is based on the 'path' and the server's base URL (which is removed from the 'key' before caching).
-     * @api public
-     * @param {string} filePath a standard file system reference to the file to be read,
-     * @param {string} fileEncoding the encoding of the file to be read (default is 'utf8').
-     *
-     * NOTE: 'filePath' is reduced to the unique sub-folder path to the file being read on the server.
-     *       Explicit paths to files outside the server's root directory are supported with
-     *       the 'complete path' parameter becoming the unique key for the file.
-     *
-     * @returns {string} the contents of the file read from 'path'.
-     *
+        // results of different functions must never share keys
+        if (!name)
+        {
+            throw new Error(`memoize() needs a 'name' for an anonymous function.`);
+        }
+
+        const instance = this;
+
+        // NOTE: only the name goes through cacheMakeKey(), its slash and dot rules would make different arguments collide
+        const prefix = this.cacheMakeKey(`${cache.MEMO_PREFIX}${name}`, namespace);
+        const named = this.#memoFunctions.get(prefix);
+
+        if (named && named !== fn)
+        {
+            throw new Error(`memoize() name: ${name} is used by another function in namespace: ${namespace}, give this one its own 'name'.`);
+        }
+
+        this.#memoFunctions.set(prefix, fn);
+
+        const makeKey = (args) =>
+        {
+            let argsKey = keyFn ? `${keyFn(...args)}` : cache._stableStringify(args);
+
+            if (argsKey.length > cache.MEMO_KEY_MAX)
+            {
+                argsKey = crypto.createHash(cache.FILE_HASH).update(argsKey).digest('hex');
+            }
+
+            return `${prefix}:${argsKey}`;
+        };
+
+        const memoized = async function (...args)
+        {
+            const resultTags = (typeof tags === 'function') ? tags(...args) : tags;
+
+            const options = {
+                ttl: instance._namespaceTTL(namespace, ttl),
+                negativeTtl: instance._namespaceNegativeTTL(namespace, negativeTtl),
+                tags: cache._isTags(resultTags) ? resultTags : undefined
+            };
+
+            return await instance._namespaceGet(makeKey(args), () => fn.apply(this, args), options);
+        };
+
+        memoized.drop = async (...args) => await this._namespaceDrop(makeKey(args));
+
+        // the pattern is the same made key as the results, without its namespace
+        memoized.clear = async () => await this.cacheDropAll({namespace: namespace, pattern: `${prefix.slice(namespace.length + 1)}:*`});
+
+        return memoized;
+    }
+
+    /**
+     * @func cacheOn
+     * @memberof mcode.cache
+     * @desc Turns ON caching in the Node caches.
+     * @api public
+     */
+    async cacheOn()
+    {
+        this.#cacheEnabled = true;
+    }
+
+    /**
+     * @func cacheOff
+     * @memberof mcode.cache
+     * @desc Turns OFF caching in the Node caches.
+     * @api public
+     */
+    async cacheOff()
+    {
+        this.#cacheEnabled = false;
+
+        try
+        {
+            await this.cacheDropAll({cache: 'node', namespace: '*', pattern: '*'});
+        }
+        catch (exp)
+        {
+            mcode.exp(`Exception dropping the NODE cache keys as it was turned off.`, MODULE_NAME, exp);
+        }
+    }
+
+    /**
+     * @func redisOn
+     * @memberof mcode.redis
+     * @desc Turns ON caching in the Redis caches.
+     * @api public
+     */
+    async redisOn()
+    {
+        this.#redisEnabled = true;
+    }
+
+    /**
+     * @func redisOff
+     * @memberof mcode.redis
+     * @desc Turns OFF caching in the Redis caches.
+     * @api public
+     */
+    async redisOff()
+    {
+        this.#redisEnabled = false;
+
+        try
+        {
+            await this.cacheDropAll({cache: 'redis', namespace: '*', pattern: '*'});
+        }
+        catch (exp)
+        {
+            mcode.exp(`Exception dropping the REDIS cache keys as it was turned off.`, MODULE_NAME, exp);
+        }
+    }
+
+    /**
+     * @func cacheBusOn
+     * @memberof mcode.cache
+     * @desc Joins the invalidation bus, a Redis channel shared by all App instances. Sets and drops of 'node' namespace
+     * keys, and cacheDropAll() purges, are published to the other instances which apply them to their own node-cache,
+     * 'hybrid' namespaces drop their L1 copy. While Redis is unavailable the cache keeps working, messages are not sent
+     * (nor queued), and after a reconnect this instance drops its node-cache keys in case it missed any.
+     * @param {object} [options] optional bus settings.
+     * @param {string} [options.url] the Redis server of the bus, default is 'redisURL'.
+     * @param {string} [options.user] the Redis user, if the server requires one.
+     * @param {string} [options.password] the Redis password, if the server requires one.
+     * @param {string} [options.channel] the Redis channel, default is 'mcode-cache:bus'.
+     * @api public
      * @example
-     *      const filePath = './data.json';
-     *      const fileData = mcode.fileRead(path.join(__dirname, filePath);
-     *
-     *      filePath: "D:\MicroCODE\GM-GPS-eMITS-UI\Source\backend\components\app\tool\tool.template.htmx",
-     *      rootDir: "D:\MicroCODE\GM-GPS-eMITS-UI\Source\backend",
-     *      keyPath: "\components\app\tool\tool.template.htmx",
-     *      key: "GM-GPS-eMITS-UI:components:app:tool:tool.template.htmx"
-     *
-     * The 1st time 'mcode.fileRead()' is called, the file is read from disk and cached.
-     * The 2nd time 'mcode.fileRead()' is called, the file is read from the cache.
-     * The 'key' used to cache the file is based on the 'path' and the server's base URL
-     * and does not need to be provided by the caller, nor stored by the caller, it is transparent.
-     *
+     *     mcode.cacheBusOn();                                   // every instance behind the load balancer
+     *     mcode.cacheBusOn({url: 'redis://10.0.0.7:6379', channel: 'eMITS-UI:bus'});
+     */
+    cacheBusOn({url = this.#redisURL, user = null, password = null, channel = cache.BUS_CHANNEL} = {})
+    {
+        // restart any existing bus with the new settings
+        this.cacheBusOff();
+
+        const clientOptions = user && password
+            ? {url: url, username: user, password: password}
+            : {url: url};
+
+        // a subscribed client can only listen, so messages are published on a second client
+        const publisher = Redis.createClient(clientOptions);
+        const subscriber = publisher.duplicate();
+        const bus = {publisher, subscriber, channel, url, connects: 0};
+
+        for (const client of [publisher, subscriber])
+        {
+            client.on('error', (err) =>
+            {
+                mcode.error(`REDIS bus error on: ${url}`, MODULE_NAME, err);
+            });
+
+            client.connect().catch((exp) =>
+            {
+                mcode.exp(`Exception connecting REDIS bus on: ${url}`, MODULE_NAME, exp);
+            });
+        }
+
+        subscriber.on('ready', () =>
+        {
+            // after an outage other instances may have changed keys this instance did not hear about
+            if (bus.connects++ > 0)
+            {
+                this._busFlush();
+            }
+
+            mcode.done(`REDIS bus connected on: ${url}, channel: ${channel} 📣`, MODULE_NAME);
+        });
+
+        // the subscription is renewed by the client on every reconnect
+        subscriber.subscribe(channel, (message) => this._busReceive(message)).catch((exp) =>
+        {
+            mcode.exp(`Exception subscribing to REDIS bus channel: ${channel}`, MODULE_NAME, exp);
+        });
+
+        this.#cacheBus = bus;
+    }
+
+    /**
+     * @func cacheBusOff
+     * @memberof mcode.cache
+     * @desc Leaves the invalidation bus and closes its Redis clients, messages not yet sent are discarded.
+     * @api public
+     * @example
+     *     mcode.cacheBusOff();
+     */
+    cacheBusOff()
+    {
+        if (!this.#cacheBus)
+        {
+            return;
+        }
+
+        const bus = this.#cacheBus;
+        this.#cacheBus = null;
+
+        // disconnect() rather than quit(), quit() waits for a connection that may never come back
+        for (const client of [bus.publisher, bus.subscriber])
+        {
+            client.disconnect().catch((exp) =>
+            {
+                mcode.exp(`Exception closing REDIS bus on: ${bus.url}`, MODULE_NAME, exp);
+            });
+        }
+    }
+
+    /**
+     * @func cacheUsage
+     * @memberof mcode.cache
+     * @desc Gets the node-cache usage of each 'node' and 'hybrid' namespace, its keys, approximate bytes of values,
+     * limits, eviction policy, and the keys evicted to stay within them.
+     * @param {object} [options] optional filter.
+     * @param {string} [options.namespace] the namespace to get the usage of, default is all ('*').
+     * @returns {object} {<namespace>: {keys, bytes, maxKeys, maxBytes, policy, evictions}}.
+     * @api public
+     * @example
+     *     const {MicroCODE} = mcode.cacheUsage();
+     *     mcode.info(`MicroCODE: ${MicroCODE.keys} keys, ${MicroCODE.bytes} bytes, ${MicroCODE.evictions} evicted`, MODULE_NAME);
+     */
+    cacheUsage({namespace = '*'} = {})
+    {
+        const usage = {};
+
+        for (const thisNamespace in this.#cacheNamespaces)
+        {
+            if ((thisNamespace !== namespace && namespace !== '*') || !this._namespaceTiers(this.#cacheNamespaces[thisNamespace], 'node').node)
+            {
+                continue;
+            }
+
+            const config = this.#namespaceConfigs[thisNamespace];
+            const counts = this._usage(thisNamespace);
+
+            usage[thisNamespace] = {
+                keys: counts.entries.size,
+                bytes: config.maxBytes ? counts.bytes : this._usageBytes(thisNamespace),
+                maxKeys: config.maxKeys || 0,
+                maxBytes: config.maxBytes || 0,
+                policy: config.policy || 'lru',
+                evictions: counts.evictions
+            };
+        }
+
+        return usage;
+    }
+
+    /**
+     * @func cacheStats
+     * @memberof mcode.cache
+     * @desc Gets the cache statistics, kept per namespace and per cache ('node' or 'redis', a 'hybrid' namespace has both):
+     * hits, misses, hitRatio, loads (callback calls), loadErrors, sets, drops, evictions (keys expired or evicted by the cache)
+     * and the callback latency histogram, in seconds, with cumulative bucket counts like Prometheus.
+     * @param {object} [options] optional filter.
+     * @param {string} [options.namespace] the namespace to get statistics for, default is all ('*').
+     * @returns {object} {<namespace>: {<cache>: {hits, misses, hitRatio, loads, loadErrors, sets, drops, evictions, loadLatency}}}.
+     * @api public
+     * @example
+     *     const {MicroCODE} = mcode.cacheStats();
+     *     mcode.info(`Node hit ratio: ${MicroCODE.node.hitRatio}`, MODULE_NAME);
+     */
+    cacheStats({namespace = '*'} = {})
+    {
+        const stats = {};
+
+        for (const [thisNamespace, caches] of Object.entries(this.#cacheStats))
+        {
+            if (thisNamespace !== namespace && namespace !== '*')
+            {
+                continue;
+            }
+
+            stats[thisNamespace] = {};
+
+            for (const [thisCache, counters] of Object.entries(caches))
+            {
+                const lookups = counters.hits + counters.misses;
+                const buckets = {};
+                let cumulative = 0;
+
+                cache.STATS_BUCKETS.forEach((le, index) =>
+                {
+                    cumulative += counters.latency.counts[index];
+                    buckets[le] = cumulative;
+                });
+                buckets['+Inf'] = counters.latency.count;
+
+                stats[thisNamespace][thisCache] = {
+                    hits: counters.hits,
+                    misses: counters.misses,
+                    hitRatio: lookups > 0 ? counters.hits / lookups : 0,
+                    loads: counters.loads,
+                    loadErrors: counters.loadErrors,
+                    sets: counters.sets,
+                    drops: counters.drops,
+                    evictions: counters.evictions,
+                    loadLatency: {buckets: buckets, sum: counters.latency.sum, count: counters.latency.count}
+                };
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * @func cacheStatsReset
+     * @memberof mcode.cache
+     * @desc Resets the cache statistics to zero.
+     * @param {object} [options] optional filter.
+     * @param {string} [options.namespace] the namespace to reset, default is all ('*').
+     * @api public
+     * @example
+     *     mcode.cacheStatsReset();
+     *     mcode.cacheStatsReset({namespace: 'GM-GPS-eMITS-DB'});
+     */
+    cacheStatsReset({namespace = '*'} = {})
+    {
+        if (namespace === '*')
+        {
+            this.#cacheStats = {};
+            return;
+        }
+
+        delete this.#cacheStats[namespace];
+    }
+
+    /**
+     * @func cacheStatsPrometheus
+     * @memberof mcode.cache
+     * @desc Renders the cache statistics in the Prometheus text exposition format, labelled by namespace and cache,
+     * for the App to serve from its own '/metrics' route.
+     * @param {object} [options] optional settings.
+     * @param {string} [options.prefix] the metric name prefix, default is 'mcode_cache'.
+     * @returns {string} the metrics, Content-Type 'text/plain; version=0.0.4'.
+     * @api public
+     * @example
+     *     app.get('/metrics', (req, res) => res.type('text/plain; version=0.0.4').send(mcode.cacheStatsPrometheus()));
+     */
+    cacheStatsPrometheus({prefix = 'mcode_cache'} = {})
+    {
+        const stats = this.cacheStats();
+        const label = (value) => `${value}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        const series = [];
+
+        for (const [thisNamespace, caches] of Object.entries(stats))
+        {
+            for (const [thisCache, counters] of Object.entries(caches))
+            {
+                series.push({labels: `namespace="${label(thisNamespace)}",cache="${label(thisCache)}"`, counters});
+            }
+        }
+
+        const counterHelp = {
+            hits: 'Keys found in the cache.',
+            misses: 'Keys not found in the cache.',
+            loads: 'Callback calls for missing keys.',
+            loadErrors: 'Callback calls that threw or rejected.',
+            sets: 'Keys written to the cache.',
+            drops: 'Keys dropped from the cache.',
+            evictions: 'Keys removed by the cache, on expiry or to make room.'
+        };
+
+        const lines = [];
+
+        for (const [counter, help] of Object.entries(counterHelp))
+        {
+            // 'loadErrors' becomes 'mcode_cache_load_errors_total'
+            const name = `${prefix}_${counter.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`)}_total`;
+
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} counter`);
+            series.forEach(({labels, counters}) => lines.push(`${name}{${labels}} ${counters[counter]}`));
+        }
+
+        const latency = `${prefix}_load_duration_seconds`;
+
+        lines.push(`# HELP ${latency} Callback latency for missing keys.`);
+        lines.push(`# TYPE ${latency} histogram`);
+
+        series.forEach(({labels, counters}) =>
+        {
+            for (const [le, count] of Object.entries(counters.loadLatency.buckets))
+            {
+                lines.push(`${latency}_bucket{${labels},le="${le}"} ${count}`);
+            }
+            lines.push(`${latency}_sum{${labels}} ${counters.loadLatency.sum}`);
+            lines.push(`${latency}_count{${labels}} ${counters.loadLatency.count}`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @func cacheSave
+     * @memberof mcode.cache
+     * @desc Writes a snapshot of 'node' namespaces to a file: each key's value, expiry and tags, so cacheLoad() can
+     * restore them after a restart. The file is replaced as a whole, never left half written.
+     * With {cache: 'redis'} or '*' it also exports 'redis' and 'hybrid' namespaces, from Redis, for the same format.
+     * @param {string} filePath the snapshot file, usually JSON.
+     * @param {object} [options] optional filter.
+     * @param {string|Array} [options.namespace] the namespace, or namespaces, to save, default is all ('*').
+     * @param {string} [options.pattern] the key pattern to save, default is all ('*').
+     * @param {string} [options.cache] the namespaces to save by cache, 'node' (default), 'redis' ('redis' and 'hybrid') or '*'.
+     * @returns {Promise<object>} {namespaces, keys, bytes}, the namespaces saved, and the keys and bytes written.
+     * @api public
+     * @example
+     *     await mcode.cacheSave(path.join(__dirname, 'cache.snapshot.json'), {namespace: 'GM-GPS-eMITS-UI'});
+     *     await mcode.cacheSave('./GM-GPS-eMITS-DB.json', {namespace: 'GM-GPS-eMITS-DB', pattern: 'users:*', cache: 'redis'});
+     */
+    async cacheSave(filePath, {namespace = '*', pattern = '*', cache: cacheFilter = 'node'} = {})
+    {
+        const selected = [].concat(namespace);
+        const snapshot = {format: cache.SAVE_FORMAT, version: 1, savedAt: new Date().toISOString(), namespaces: {}};
+        let keys = 0;
+
+        for (const thisNamespace in this.#cacheNamespaces)
+        {
+            if (!this._saveIncludes(thisNamespace, cacheFilter) || (!selected.includes(thisNamespace) && !selected.includes('*')))
+            {
+                continue;
+            }
+
+            const entries = [];
+
+            if (this.#cacheNamespaces[thisNamespace] !== 'node')
+            {
+                // 'redis' and 'hybrid' keys are saved from Redis (L2), a batch at a time
+                const scanned = this.cacheScan({cache: 'redis', namespace: thisNamespace, pattern: pattern});
+
+                for await (const batch of this._scanBatches(scanned, cache.SCAN_COUNT))
+                {
+                    for (const entry of await this._redisInspect(batch))
+                    {
+                        entries.push({
+                            key: entry.cacheKey,
+                            value: cache._codecTag(entry.value),
+                            expires: (entry.ttl < 0) ? 0 : Date.now() + Math.round(entry.ttl * 1000),
+                            tags: entry.tags
+                        });
+                    }
+                }
+
+                snapshot.namespaces[thisNamespace] = entries;
+                keys += entries.length;
+                continue;
+            }
+
+            for (const cacheKey of (this.#cache ? await this._cacheKeys(`${thisNamespace}:${pattern}`) : []))
+            {
+                const value = this.#cache.get(cacheKey);
+                const expires = this.#cache.getTtl(cacheKey);
+
+                // it may have expired since the keys were listed
+                if (expires === undefined)
+                {
+                    continue;
+                }
+
+                const keyTags = this.#cacheKeyTags.get(cacheKey);
+
+                entries.push({
+                    key: cacheKey,
+                    value: cache._codecTag(value),
+                    expires: expires,
+                    tags: keyTags ? [...keyTags] : []
+                });
+            }
+
+            snapshot.namespaces[thisNamespace] = entries;
+            keys += entries.length;
+        }
+
+        const text = JSON.stringify(snapshot);
+
+        // write beside the file and rename over it, so a crash never leaves a partial snapshot
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
+        await fs.mkdir(path.dirname(filePath), {recursive: true});
+        await fs.writeFile(tempPath, text, 'utf8');
+        await fs.rename(tempPath, filePath);
+
+        mcode.done(`Saved ${keys} key(s) from ${Object.keys(snapshot.namespaces).length} namespace(s) to: ${filePath}`, MODULE_NAME);
+
+        return {namespaces: Object.keys(snapshot.namespaces), keys: keys, bytes: Buffer.byteLength(text)};
+    }
+
+    /**
+     * @func cacheLoad
+     * @memberof mcode.cache
+     * @desc Restores a snapshot written by cacheSave() into the node-cache, with each key's remaining TTL and tags.
+     * Keys that have expired since the snapshot, and namespaces that are not 'node' namespaces here, are skipped.
+     * With {cache: 'redis'} or '*' it also imports into 'redis' and 'hybrid' namespaces.
+     * A missing or unreadable snapshot is logged and restores nothing, so a first start is not an error.
+     * @param {string} filePath the snapshot file.
+     * @param {object} [options] optional filter.
+     * @param {string|Array} [options.namespace] the namespace, or namespaces, to restore, default is all ('*').
+     * @param {string} [options.cache] the namespaces to restore by cache, 'node' (default), 'redis' ('redis' and 'hybrid') or '*'.
+     * @returns {Promise<object>} {namespaces, loaded, expired, skipped, savedAt}, and {error} if the snapshot could not be read.
+     * @api public
+     * @example
+     *     const {loaded} = await mcode.cacheLoad(path.join(__dirname, 'cache.snapshot.json'));
+     */
+    async cacheLoad(filePath, {namespace = '*', cache: cacheFilter = 'node'} = {})
+    {
+        const selected = [].concat(namespace);
+        const summary = {namespaces: [], loaded: 0, expired: 0, skipped: 0, savedAt: null};
+        let snapshot;
+
+        try
+        {
+            snapshot = JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+            if (!snapshot || snapshot.format !== cache.SAVE_FORMAT || typeof snapshot.namespaces !== 'object')
+            {
+                throw new Error(`Not an mcode-cache snapshot: ${filePath}`);
+            }
+        }
+        catch (exp)
+        {
+            if (exp.code === 'ENOENT')
+            {
+                mcode.info(`No cache snapshot to load at: ${filePath}`, MODULE_NAME);
+            }
+            else
+            {
+                mcode.exp(`Exception loading cache snapshot: ${filePath}`, MODULE_NAME, exp);
+                summary.error = exp.message;
+            }
+
+            return summary;
+        }
+
+        summary.savedAt = snapshot.savedAt;
+
+        for (const [thisNamespace, entries] of Object.entries(snapshot.namespaces))
+        {
+            if (!selected.includes(thisNamespace) && !selected.includes('*'))
+            {
+                continue;
+            }
+
+            if (!this._saveIncludes(thisNamespace, cacheFilter))
+            {
+                mcode.warn(`Skipped namespace: ${thisNamespace} from the cache snapshot, it is not a '${cacheFilter}' namespace here.`, MODULE_NAME);
+                summary.skipped += entries.length;
+                continue;
+            }
+
+            summary.namespaces.push(thisNamespace);
+
+            // keys without tags are set in batches, one round trip each for Redis
+            const untagged = [];
+
+            for (const entry of entries)
+            {
+                // 0 never expires, otherwise the time it expires, in milliseconds
+                const remaining = entry.expires === 0 ? 0 : (entry.expires - Date.now()) / 1000;
+
+                if (entry.expires !== 0 && remaining <= 0)
+                {
+                    summary.expired++;
+                    continue;
+                }
+
+                if (this.#cacheNamespaces[thisNamespace] === 'node')
+                {
+                    await this._cacheSet(entry.key, cache._codecUntag(entry.value), remaining);
+                    this._cacheTag(entry.key, entry.tags);
+                }
+                else if (entry.tags && entry.tags.length > 0)
+                {
+                    await this._namespaceSet(entry.key, cache._codecUntag(entry.value), remaining, entry.tags);
+                }
+                else
+                {
+                    untagged.push({cacheKey: entry.key, value: cache._codecUntag(entry.value), ttl: remaining});
+
+                    if (untagged.length >= cache.SCAN_COUNT)
+                    {
+                        await this._namespaceSetMany(untagged.splice(0));
+                    }
+                }
+
+                summary.loaded++;
+            }
+
+            await this._namespaceSetMany(untagged);
+        }
+
+        mcode.done(`Loaded ${summary.loaded} key(s), skipped ${summary.expired} expired, from: ${filePath}`, MODULE_NAME);
+
+        return summary;
+    }
+
+    /**
+     * @func cacheSaveOn
+     * @memberof mcode.cache
+     * @desc Saves a snapshot of 'node' namespaces every 'interval' seconds, and on cacheClose(), see cacheSave().
+     * @param {string} filePath the snapshot file.
+     * @param {object} [options] optional settings.
+     * @param {string|Array} [options.namespace] the namespace, or namespaces, to save, default is all ('*').
+     * @param {number} [options.interval] seconds between snapshots, default is 300, 0 = only on cacheClose().
+     * @param {boolean} [options.onClose] false to not save on cacheClose(), default is true.
+     * @api public
+     * @example
+     *     await mcode.cacheLoad(snapshotPath);
+     *     mcode.cacheSaveOn(snapshotPath, {namespace: ['MicroCODE', 'GM-GPS-eMITS-UI'], interval: 60});
+     */
+    cacheSaveOn(filePath, {namespace = '*', interval = cache.SAVE_INTERVAL, onClose = true} = {})
+    {
+        // restart any existing autosave with the new settings
+        this.cacheSaveOff();
+
+        const autosave = {filePath, namespace, interval, onClose, timer: null, saving: false};
+
+        if (interval > 0)
+        {
+            autosave.timer = setInterval(async () =>
+            {
+                // a slow disk must not stack up snapshots
+                if (autosave.saving)
+                {
+                    return;
+                }
+
+                autosave.saving = true;
+
+                try
+                {
+                    await this.cacheSave(filePath, {namespace});
+                }
+                catch (exp)
+                {
+                    mcode.exp(`Exception autosaving the cache to: ${filePath}`, MODULE_NAME, exp);
+                }
+                finally
+                {
+                    autosave.saving = false;
+                }
+            }, interval * 1000);
+
+            // autosave alone does not keep the App running
+            autosave.timer.unref();
+        }
+
+        this.#cacheAutosave = autosave;
+    }
+
+    /**
+     * @func cacheSaveOff
+     * @memberof mcode.cache
+     * @desc Stops the autosave started by cacheSaveOn(), no snapshot is saved.
+     * @api public
+     * @example
+     *     mcode.cacheSaveOff();
+     */
+    cacheSaveOff()
+    {
+        if (this.#cacheAutosave)
+        {
+            clearInterval(this.#cacheAutosave.timer);
+            this.#cacheAutosave = null;
+        }
+    }
+
+    /**
+     * @func on
+     * @memberof mcode.cache
+     * @desc Adds a handler for a cache event, the handler is called with {namespace, cacheKey, backend}:
+     * 'hit', 'miss', 'set', 'drop' - a key was found, not found, written or dropped, in 'node' or 'redis',
+     * 'expired' - node-cache removed a key at the end of its TTL (Redis expires keys silently),
+     * 'evicted' - the cache removed a key to make room,
+     * 'redis:connect', 'redis:error', 'redis:reconnecting' - a Redis client changed state, with {namespaces, url, error}
+     * naming every namespace that shares the client, 'namespace' and 'cacheKey' are null.
+     * 'redis:circuit' - the circuit breaker of a Redis client changed {state}, 'open', 'half-open' or 'closed'.
+     * A handler that throws is logged, it does not break the cache operation.
+     * @param {string} event the event name.
+     * @param {function} handler the function to call with the event payload.
+     * @api public
+     * @example
+     *     mcode.on('miss', ({namespace, cacheKey}) => metrics.increment(`cache.miss.${namespace}`));
+     *     mcode.on('redis:reconnecting', ({url}) => mcode.warn(`Lost REDIS on: ${url}`, MODULE_NAME));
+     *     mcode.on('redis:circuit', ({url, state}) => metrics.gauge(`redis.circuit.${state}`, 1));
+     */
+    on(event, handler)
+    {
+        if (!cache.CACHE_EVENTS.includes(event))
+        {
+            mcode.warn(`Invalid cache event: ${event}, must be one of: ${cache.CACHE_EVENTS.join(', ')}.`, MODULE_NAME);
+            return;
+        }
+
+        this.#cacheEvents.on(event, handler);
+    }
+
+    /**
+     * @func off
+     * @memberof mcode.cache
+     * @desc Removes a handler added with on(), or every handler of the event if no handler is given.
+     * @param {string} event the event name.
+     * @param {function} [handler] the handler to remove.
+     * @api public
+     * @example
+     *     mcode.off('miss', onMiss);
+     *     mcode.off('miss');
+     */
+    off(event, handler)
+    {
+        if (handler)
+        {
+            this.#cacheEvents.off(event, handler);
+            return;
+        }
+
+        this.#cacheEvents.removeAllListeners(event);
+    }
+
+    /**
+     * @func cacheClose
+     * @memberof mcode.cache
+     * @desc Closes the cache connection.
+     * @returns {status} the cache client connection.
+     * @api public
+     * @example
+     *   const result = await mcode.cacheClose();
+     */
+    async cacheClose()
+    {
+        this.fileWatchOff();
+        this.cacheBusOff();
+
+        // a last snapshot before the node-cache is gone
+        if (this.#cacheAutosave)
+        {
+            const autosave = this.#cacheAutosave;
+            this.cacheSaveOff();
+
+            if (autosave.onClose)
+            {
+                try
+                {
+                    await this.cacheSave(autosave.filePath, {namespace: autosave.namespace});
+                }
+                catch (exp)
+                {
+                    mcode.exp(`Exception saving the cache to: ${autosave.filePath}`, MODULE_NAME, exp);
+                }
+            }
+        }
+
+        if (this.#cache)
+        {
+            this.#cache.close();
+            this.#cache = null;
+        }
+
+        this.#cacheTags.clear();
+        this.#cacheKeyTags.clear();
+        this.#namespaceUsage = {};
+
+        // a client that is reconnecting could wait forever for its QUIT, it is disconnected instead
+        for (const connection of this.#redisClients.values())
+        {
+            const closing = connection.connected ? connection.client.quit() : connection.client.disconnect();
+
+            closing.catch((exp) =>
+            {
+                mcode.exp(`Exception closing REDIS client on: ${connection.url}`, MODULE_NAME, exp);
+            });
+        }
+
+        this.#redisClients.clear();
+    }
+
+    /**
+     * @func fileRead
+     * @memberof mcode
+     * @desc Reads a file from 'path' and caches its for future reference. The cache 'key' generated
+     * is based on the 'path' and the server's base URL (which is removed from the 'key' before caching).
+     * @api public
+     * @param {string} filePath a standard file system reference to the file to be read,
+     * @param {string} fileEncoding the encoding of the file to be read (default is 'utf8').
+     * @param {object} [options] optional settings for this file.
+     * @param {number} [options.ttl] the Time-To-Live, in seconds, defaults to the namespace 'ttl' or 'cacheTTL'.
+     * @param {number} [options.negativeTtl] if the file is missing, cache that as null for this many seconds,
+     * defaults to the namespace 'negativeTtl', 0 = do not cache a missing file.
+     * @param {string} [options.namespace] the namespace of the file, default is the current namespace.
+     *
+     * NOTE: 'filePath' is reduced to the unique sub-folder path to the file being read on the server.
+     *       Explicit paths to files outside the server's root directory are supported with
+     *       the 'complete path' parameter becoming the unique key for the file.
+     *
+     * @returns {string} the contents of the file read from 'path', null if missing and negative caching is on.
+     *
+     * @example
+     *      const filePath = './data.json';
+     *      const fileData = mcode.fileRead(path.join(__dirname, filePath);
+     *
+     *      filePath: "D:\MicroCODE\GM-GPS-eMITS-UI\Source\backend\components\app\tool\tool.template.htmx",
+     *      rootDir: "D:\MicroCODE\GM-GPS-eMITS-UI\Source\backend",
+     *      keyPath: "\components\app\tool\tool.template.htmx",
+     *      key: "GM-GPS-eMITS-UI:components:app:tool:tool.template.htmx"
+     *
+     * The 1st time 'mcode.fileRead()' is called, the file is read from disk and cached.
+     * The 2nd time 'mcode.fileRead()' is called, the file is read from the cache.
+     * The 'key' used to cache the file is based on the 'path' and the server's base URL
+     * and does not need to be provided by the caller, nor stored by the caller, it is transparent.
+     *
+     */
+    async fileRead(filePath, fileEncoding = 'utf8', {ttl, negativeTtl, namespace} = {})
+    {
+        try
+        {
+            return this._fileGet(filePath, fileEncoding, {ttl, negativeTtl, namespace}).then((entry) => this._fileContent(entry));
+        }
+        catch (exp)
+        {
+            mcode.exp(`Exception reading from disk for cache, file: ${filePath}`, MODULE_NAME, exp);
+            return null;
+        }
+    }
+
+    /**
+     * @func fileWrite
+     * @memberof mcode.cache
+     * @desc Writes 'fileData' to 'filePath' and caches it in the cache.
+     * @param {string} filePath a standard file system reference to the file to be read.
+     * @param {string} fileData the data to be written to the file.
+     * @param {string} fileEncoding the encoding of the file to be written (default is 'utf8').
+     * @param {object} [options] optional settings.
+     * @param {string} [options.namespace] the namespace of the file, default is the current namespace.
+     * @returns {Promise} the file data written to disk.
+     */
+    async fileWrite(filePath, fileData, fileEncoding = 'utf8', {namespace} = {})
+    {
+        try
+        {
+            // make the auto-generated cache key for the file
+            const thisNamespace = this._namespaceResolve(namespace);
+            const cacheKey = this.fileMakeKey(filePath, thisNamespace);
+
+            try
+            {
+                // Check if the file exists and is accessible
+                await fs.access(filePath, fs.constants.W_OK);
+            }
+            catch (exp)
+            {
+                mcode.exp(`File is NOT WRITE accessible: ${filePath}`, MODULE_NAME, exp);
+                throw new Error(`File WRITE access error: ${filePath}`);
+            }
+
+            // write the file to disk, first, a cache outage must not keep it from being written
+            const result = await fs.writeFile(filePath, fileData, {encoding: fileEncoding});
+
+            try
+            {
+                // the cached value is no longer valid, so drop it, and cache the new value with the metadata of the file as written
+                await this._namespaceDrop(cacheKey);
+
+                const fileBuffer = Buffer.isBuffer(fileData) ? fileData : Buffer.from(fileData, fileEncoding);
+                const fileStats = await fs.stat(filePath);
+                const entry = {content: fileData, meta: this._fileMeta(fileBuffer, fileStats, fileEncoding, cache.FILE_HASH)};
+
+                await this._namespaceSet(cacheKey, entry, this._namespaceTTL(thisNamespace));
+            }
+            catch (exp)
+            {
+                mcode.exp(`Exception caching the written file: ${filePath}`, MODULE_NAME, exp);
+            }
+
+            return result;
+        }
+        catch (exp)
+        {
+            mcode.exp(`Exception writing to disk and cache, file: ${filePath}`, MODULE_NAME, exp);
+            return null;
+        }
+    }
+
+    /**
+     * @func fileDrop
+     * @memberof mcode.cache
+     * @desc Drops a file from the cache based on the 'filePath'.
+     * @param {string} filePath a standard file system reference to the file to be read.
+     * @param {object} [options] optional settings.
+     * @param {string} [options.namespace] the namespace of the file, default is the current namespace.
+     * @returns {number} the number of keys deleted from the cache.
+     * @api public
+     * @example
+     *     const filePath = './data.json';
+     *     const result = await mcode.fileDrop(path.join(__dirname, filePath));
+     *     const result = await mcode.fileDrop(templatePath, {namespace: 'GM-GPS-eMITS-UI'});
+     */
+    async fileDrop(filePath, {namespace} = {})
+    {
+        const cacheKey = this.fileMakeKey(filePath, this._namespaceResolve(namespace));
+
+        return await this._namespaceDrop(cacheKey);
+    }
+
+    /**
+     * @func fileReadWithMeta
+     * @memberof mcode.cache
+     * @desc Reads a file through the cache, exactly like fileRead(), and returns its content with the metadata
+     * cached alongside it: size, mtime, content hash, a weak ETag and the time it was cached.
+     * @param {string} filePath a standard file system reference to the file to be read.
+     * @param {string} fileEncoding the encoding of the file to be read (default is 'utf8').
+     * @param {object} [options] optional settings for this file, as fileRead() including its 'namespace', plus...
+     * @param {string} [options.hash] the content hash algorithm, 'sha1' (default) or 'sha256'.
+     * @returns {object} {content, size, mtime, hash, hashAlgorithm, etag, cachedAt}, null if the file is missing.
+     * @api public
+     * @example
+     *     const file = await mcode.fileReadWithMeta(templatePath);
+     *     if (req.headers['if-none-match'] === file.etag) { return res.status(304).end(); }
+     *     res.set({'ETag': file.etag, 'Last-Modified': file.mtime.toUTCString()}).send(file.content);
+     */
+    async fileReadWithMeta(filePath, fileEncoding = 'utf8', {ttl, negativeTtl, hash = cache.FILE_HASH, namespace} = {})
+    {
+        const entry = await this._fileGet(filePath, fileEncoding, {ttl, negativeTtl, hash, namespace});
+
+        if (entry === null || entry === undefined)
+        {
+            return null;
+        }
+
+        const content = this._fileContent(entry);
+        let meta = this._fileIsEntry(entry) ? entry.meta : null;
+
+        // an entry cached without metadata (or with another hash) gets it from its content
+        if (!meta || meta.hashAlgorithm !== hash)
+        {
+            const fileBuffer = Buffer.isBuffer(content) ? content : Buffer.from(content, fileEncoding || 'utf8');
+            meta = this._fileMeta(fileBuffer, meta ? {mtime: meta.mtime} : null, fileEncoding, hash, meta ? meta.cachedAt : null);
+        }
+
+        return {content, ...meta};
+    }
+
+    /**
+     * @func fileStat
+     * @memberof mcode.cache
+     * @desc Gets the metadata of a cached file without its content, reading and caching the file if needed.
+     * @param {string} filePath a standard file system reference to the file.
+     * @param {string} fileEncoding the encoding of the file, if it has to be read (default is 'utf8').
+     * @param {object} [options] optional settings for this file, as fileReadWithMeta(), {ttl, negativeTtl, hash, namespace}.
+     * @returns {object} {size, mtime, hash, hashAlgorithm, etag, cachedAt}, null if the file is missing.
+     * @api public
+     * @example
+     *     const {etag, mtime} = await mcode.fileStat(templatePath);
+     */
+    async fileStat(filePath, fileEncoding = 'utf8', options = {})
+    {
+        const file = await this.fileReadWithMeta(filePath, fileEncoding, options);
+
+        if (!file)
+        {
+            return null;
+        }
+
+        const {content, ...meta} = file;
+
+        return meta;
+    }
+
+    /**
+     * @func filePreload
+     * @memberof mcode.cache
+     * @desc Reads every matching file under a directory into the cache, under its normal fileMakeKey() key,
+     * so the first requests after a deploy are served from the cache. Relative paths start at fileGetRoot().
+     * @param {string} dirOrGlob a directory, or a glob such as 'backend/components/*.htmx' ('**' crosses folders).
+     * @param {object} [options] optional preload settings.
+     * @param {string} [options.encoding] the encoding of the files (default is 'utf8').
+     * @param {boolean} [options.recursive] true to include sub-directories (default is true).
+     * @param {Array} [options.include] globs or RegExps a file must match, a glob without '/' matches the file name.
+     * @param {Array} [options.exclude] globs or RegExps of files to skip, a glob without '/' matches the file name.
+     * @param {number} [options.concurrency] files read at the same time (default is 8).
+     * @param {number} [options.ttl] the Time-To-Live, in seconds, defaults to the namespace 'ttl' or 'cacheTTL'.
+     * @returns {Promise} {files, loaded, bytes, failed: [{file, error}], elapsed} summary of the preload.
+     * @api public
+     * @example
+     *     const summary = await mcode.filePreload('backend/components', {include: ['*.htmx'], exclude: ['*.test.*']});
+     *     mcode.info(`Preloaded ${summary.loaded} files, ${summary.bytes} bytes, in ${summary.elapsed}ms`);
+     *     app.listen(port);
+     */
+    async filePreload(dirOrGlob, {encoding = 'utf8', recursive = true, include = [], exclude = [],
+        concurrency = cache.PRELOAD_CONCURRENCY, ttl} = {})
+    {
+        const start = Date.now();
+        const summary = {files: [], loaded: 0, bytes: 0, failed: [], elapsed: 0};
+
+        // split the glob, if any, into the directory to walk and the pattern to match below it
+        const segments = dirOrGlob.split(/[\\/]/);
+        const globAt = segments.findIndex((segment) => /[*?[]/.test(segment));
+        const baseDir = (globAt < 0) ? dirOrGlob : segments.slice(0, globAt).join('/');
+        const glob = (globAt < 0) ? null : segments.slice(globAt).join('/');
+
+        const rootDir = path.isAbsolute(baseDir) ? baseDir : path.join(this.fileGetRoot(), baseDir);
+        const walkAll = recursive || (glob !== null && glob.includes('**'));
+
+        const matchers = {
+            glob: glob ? this._convertPathGlobToRegExp(glob) : null,
+            include: [].concat(include).map((pattern) => this._filePattern(pattern)),
+            exclude: [].concat(exclude).map((pattern) => this._filePattern(pattern))
+        };
+
+        let filePaths;
+
+        try
+        {
+            filePaths = await this._fileWalk(rootDir, walkAll);
+        }
+        catch (exp)
+        {
+            mcode.exp(`Exception walking directory for preload: ${rootDir}`, MODULE_NAME, exp);
+            summary.failed.push({file: rootDir, error: exp.message});
+            summary.elapsed = Date.now() - start;
+            return summary;
+        }
+
+        // keep the files that match the glob, any include, and no exclude
+        const matched = filePaths.filter((filePath) =>
+        {
+            const relativePath = path.relative(rootDir, filePath).split(path.sep).join('/');
+            const matches = (matcher) => matcher.test(matcher.byName ? path.basename(filePath) : relativePath);
+
+            return (!matchers.glob || matchers.glob.test(relativePath)) &&
+                (matchers.include.length === 0 || matchers.include.some(matches)) &&
+                !matchers.exclude.some(matches);
+        });
+
+        const options = {
+            ttl: this._namespaceTTL(this.cacheNamespace, ttl),
+            negativeTtl: 0,
+            hash: cache.FILE_HASH
+        };
+
+        // read and cache the files, 'concurrency' at a time
+        let next = 0;
+
+        const worker = async () =>
+        {
+            while (next < matched.length)
+            {
+                const filePath = matched[next++];
+
+                try
+                {
+                    const cacheKey = this.fileMakeKey(filePath);
+                    const entry = await this._fileLoad(filePath, encoding, options.hash);
+
+                    await this._namespaceSet(cacheKey, entry, options.ttl);
+                    this._fileTrack(cacheKey, filePath, encoding, options);
+
+                    summary.files.push(filePath);
+                    summary.loaded++;
+                    summary.bytes += entry.meta.size;
+                }
+                catch (exp)
+                {
+                    mcode.exp(`Exception preloading file for cache: ${filePath}`, MODULE_NAME, exp);
+                    summary.failed.push({file: filePath, error: exp.message});
+                }
+            }
+        };
+
+        await Promise.all(Array.from({length: Math.max(1, Math.min(concurrency, matched.length))}, worker));
+
+        summary.elapsed = Date.now() - start;
+
+        mcode.done(`Preloaded ${summary.loaded} file(s), ${summary.bytes} bytes, from: ${rootDir} in ${summary.elapsed}ms`, MODULE_NAME);
+
+        return summary;
+    }
+
+    /**
+     * @func fileWatchOn
+     * @memberof mcode.cache
+     * @desc Starts watching every file cached by fileRead(), already or from now on (filePreload() included). When a file changes
+     * its entry is dropped (or reloaded), when a file is deleted its entry is dropped and the watch released.
+     * @param {object} [options] optional watch settings.
+     * @param {boolean} [options.reload] true to re-read a changed file into the cache, default is to drop it.
+     * @param {number} [options.debounce] milliseconds to let a burst of file events settle, default is 100.
+     * @param {boolean} [options.poll] true to poll the files instead of using fs.watch(), default is false.
+     * @param {number} [options.interval] milliseconds between polls, default is 1000.
+     * @api public
+     * @example
+     *     mcode.fileWatchOn();                              // development, pick up .htmx edits
+     *     mcode.fileWatchOn({reload: true, poll: true});    // network shares without file events
+     */
+    fileWatchOn({reload = false, debounce = cache.WATCH_DEBOUNCE, poll = false, interval = cache.WATCH_INTERVAL} = {})
+    {
+        // restart any existing watches with the new settings, keeping the files already watched
+        for (const cacheKey of [...this.#fileWatchers.keys()])
+        {
+            this._fileUnwatch(cacheKey);
+        }
+
+        this.#fileWatch = {reload, debounce, poll, interval};
+
+        for (const cacheKey of this.#filePaths.keys())
+        {
+            this._fileWatch(cacheKey);
+        }
+
+        mcode.success(`Watching ${this.#fileWatchers.size} cached file(s) for changes.`, MODULE_NAME);
+    }
+
+    /**
+     * @func fileWatchOff
+     * @memberof mcode.cache
+     * @desc Stops watching files cached by fileRead(), releases all of the file watchers, a later fileWatchOn() watches them again.
+     * @api public
+     * @example
+     *     mcode.fileWatchOff();
+     */
+    fileWatchOff()
+    {
+        for (const cacheKey of [...this.#fileWatchers.keys()])
+        {
+            this._fileUnwatch(cacheKey);
+        }
+
+        this.#fileWatch = null;
+    }
+
+    /**
+     * @func fileMakeKey
+     * @memberof mcode.cache
+     * @desc Generates a unique key for the file in the cache based on the 'filePath'.
+     * @param {string} filePath a standard file system reference to the file to be read.
+     * @param {string} [namespace] the namespace of the key, default is the current namespace.
+     * @returns {string} the key for the file in the cache.
+     */
+    fileMakeKey(filePath, namespace)
+    {
+        // remove 'rootKey' from the 'filePath'
+        const keyPath = filePath.replace(this.fileGetRoot(), '');
+        const key = this.cacheMakeKey(keyPath, namespace);
+
+        return key;
+    }
+
+    /**
+     * @func fileGetRoot
+     * @memberof mcode.cache
+     * @desc Gets the root directory for cache Keys based on the server's execution path.
+     * @returns {string} the root directory for the server.
+     * @api public
+     * @example
+     *    const rootDir = mcode.fileGetRoot();
+     */
+    fileGetRoot()
+    {
+        // get the execution root directory
+        const mainDir = path.dirname(require.main.filename);
+
+        // Determine the common base path
+        const rootDir = path.resolve(path.join(mainDir, '..'));
+
+        return rootDir;
+    }
+
+    // #endregion
+
+    // #region  M E T H O D S - G E N E R A T O R S
+
+    /**
+     * @func cacheScan
+     * @memberof mcode.cache
+     * @desc Iterates the keys of the cache without blocking it, Redis SCAN in steps of 'count' keys instead of KEYS,
+     * and a lazy filter of the node-cache keys. A key in both caches of a 'hybrid' namespace is yielded once.
+     * NOTE: as with SCAN itself, a Redis key added or dropped during the scan may or may not be yielded, and one
+     * that exists the whole time is yielded at least once. The Redis keys of a namespace whose Redis is unavailable
+     * are skipped, with a warning, so cacheListAll() and cacheDropAll() still cover the other namespaces.
+     * @param {object} [options] optional filters.
+     * @param {string} [options.cache] the cache to scan, 'node', 'redis' or '*' ('hybrid' namespaces are in both).
+     * @param {string} [options.namespace] the namespace to scan, default is all ('*').
+     * @param {string} [options.pattern] the key pattern to scan for, default is all ('*').
+     * @param {number} [options.count] the number of keys Redis looks at per SCAN, a hint, not a limit.
+     * @yields {string} the cache keys, '<namespace>:<key>'.
+     * @api public
+     * @example
+     *     for await (const cacheKey of mcode.cacheScan({namespace: 'GM-GPS-eMITS-DB', pattern: 'users:*'}))
+     *     {
+     *         ...
+     *     }
+     */
+    async *cacheScan({cache: cacheFilter = '*', namespace = '*', pattern = '*', count = cache.SCAN_COUNT} = {})
+    {
+        for (const thisNamespace in this.#cacheNamespaces)
+        {
+            if (thisNamespace !== namespace && namespace !== '*')
+            {
+                continue;
+            }
+
+            const tiers = this._namespaceTiers(this.#cacheNamespaces[thisNamespace], cacheFilter);
+
+            // a 'hybrid' key is in both caches, its L1 keys are held to skip them in L2
+            const nodeKeys = (tiers.node && tiers.redis) ? new Set() : null;
+
+            if (tiers.node && this.#cache)
+            {
+                // NOTE: node-cache.keys() does not support wildcards, and is a copy, so it is safe to drop keys meanwhile
+                const regexPattern = this._convertGlobToRegExp(`${thisNamespace}:${pattern}`);
+
+                for (const cacheKey of this.#cache.keys())
+                {
+                    // a key of a longer namespace, 'GM:eMITS:<key>' of 'GM:eMITS', also matches 'GM:*'
+                    if (regexPattern.test(cacheKey) && this._namespaceOf(cacheKey) === thisNamespace && this.#cache.has(cacheKey))
+                    {
+                        if (nodeKeys)
+                        {
+                            nodeKeys.add(cacheKey);
+                        }
+
+                        yield cacheKey;
+                    }
+                }
+            }
+
+            if (tiers.redis)
+            {
+                const connection = this._redisConnection(thisNamespace);
+
+                // a SCAN cannot be timed out key by key, so it is not started while Redis is unhealthy,
+                // the namespace's Redis keys are skipped and the scan goes on with the other namespaces
+                if (!connection.connected || connection.breaker.state === 'open')
+                {
+                    mcode.warn(`Skipped the REDIS keys of namespace: ${thisNamespace}. ${this._redisUnavailable(thisNamespace, connection).message}`, MODULE_NAME);
+                    continue;
+                }
+
+                try
+                {
+                    for await (const cacheKey of connection.client.scanIterator({MATCH: `${thisNamespace}:${pattern}`, COUNT: count}))
+                    {
+                        if ((!nodeKeys || !nodeKeys.has(cacheKey)) && this._namespaceOf(cacheKey) === thisNamespace)
+                        {
+                            yield cacheKey;
+                        }
+                    }
+                }
+                catch (exp)
+                {
+                    mcode.exp(`Exception scanning the REDIS keys of namespace: ${thisNamespace}, skipped the rest of them.`, MODULE_NAME, exp);
+                }
+            }
+        }
+    }
+
+    /**
+     * getValue() - returns all values in 'enums'. TEMPLATE marked private '_' for now.
+     *
+     */
+    *_getValue()
+    {
+        for (const enumValue of this.enums)
+        {
+            yield value;
+        }
+    }
+
+    /**
+     * @func _scanBatches
+     * @memberof mcode.cache
+     * @desc Groups the keys of a scan into batches, so they can be worked on with one round trip each.
+     * @param {AsyncIterable} keys the keys, from cacheScan().
+     * @param {number} size the most keys in a batch.
+     * @yields {Array} the batches of keys, the last one may be shorter.
+     */
+    async *_scanBatches(keys, size)
+    {
+        let batch = [];
+
+        for await (const cacheKey of keys)
+        {
+            batch.push(cacheKey);
+
+            if (batch.length >= size)
+            {
+                yield batch;
+                batch = [];
+            }
+        }
+
+        if (batch.length > 0)
+        {
+            yield batch;
+        }
+    }
+
+    /**
+     * @func _inspectScan
+     * @memberof mcode.cache
+     * @desc Describes the keys of the cache one batch at a time, for cacheInspect().
+     * @param {object} options the {namespace, pattern, limit, preview} of cacheInspect().
+     * @yields {object} {key, cacheKey, namespace, backend, ttl, size, type, cachedAt, tags, preview} for each key.
+     */
+    async *_inspectScan({namespace = '*', pattern = '*', limit = Infinity, preview = 0} = {})
+    {
+        let count = 0;
+
+        if (limit <= 0)
+        {
+            return;
+        }
+
+        for (const thisNamespace in this.#cacheNamespaces)
+        {
+            if (thisNamespace !== namespace && namespace !== '*')
+            {
+                continue;
+            }
+
+            const keys = this.cacheScan({namespace: thisNamespace, pattern: pattern});
+
+            for await (const batch of this._scanBatches(keys, cache.SCAN_COUNT))
+            {
+                let found;
+
+                switch (this.#cacheNamespaces[thisNamespace])
+                {
+                    case 'redis':
+                        found = await this._redisInspect(batch);
+                        break;
+
+                    case 'hybrid':
+                    {
+                        // L2 first, then any key only left in L1
+                        found = await this._redisInspect(batch);
+                        const l2Keys = new Set(found.map(entry => entry.cacheKey));
+                        found = found.concat(this._cacheInspect(batch.filter(cacheKey => !l2Keys.has(cacheKey))));
+                        break;
+                    }
+
+                    default:
+                        found = this._cacheInspect(batch);
+                        break;
+                }
+
+                for (const entry of found)
+                {
+                    const fileEntry = this._fileIsEntry(entry.value);
+
+                    yield {
+                        key: entry.cacheKey.slice(thisNamespace.length + 1),
+                        cacheKey: entry.cacheKey,
+                        namespace: thisNamespace,
+                        backend: entry.backend,
+                        ttl: entry.ttl,
+                        size: entry.size,
+                        type: fileEntry ? 'file' : cache._typeOf(entry.value),
+                        cachedAt: fileEntry ? new Date(entry.value.meta.cachedAt) : entry.cachedAt,
+                        tags: entry.tags,
+                        preview: (preview > 0) ? cache._preview(fileEntry ? entry.value.content : entry.value, preview) : null
+                    };
+
+                    if (++count >= limit)
+                    {
+                        return;
+                    }
+                }
+            }
+        }
+    }
+
+    // #endregion
+
+    // #region  M E T H O D S – P R I V A T E
+
+    /**
+     * @function _cacheInit
+     * @api private
+     * @memberof mcode.cache
+     * @desc Initializes the internals of mcode-cache, including the instantiation of the cache client.
+     * @returns {status} the cache client connection.
+     */
+    _cacheInit()
+    {
+        // if a client already exists, close it and start a new one
+        if (this.#cache)
+        {
+            this.#cache = null;
+        }
+
+        if (!this.#cache)
+        {
+            this.#cache = new NodeCache({stdTTL: this.#cacheTTL});
+
+            // keys the node-cache removes on its own are evictions, NOTE: its 'del' event also fires for these
+            this.#cache.on('expired', (cacheKey) =>
+            {
+                this._statsCount(cacheKey, 'node', 'evictions');
+                this._cacheEmit('expired', cacheKey, 'node');
+            });
+
+            // a key dropped or expired leaves the tag index and the namespace's usage
+            this.#cache.on('del', (cacheKey) =>
+            {
+                this._cacheUntag(cacheKey);
+                this._usageDrop(cacheKey);
+            });
+
+            // a key set is measured, and may push the namespace past its limits
+            this.#cache.on('set', (cacheKey, value) =>
+            {
+                this._usageSet(cacheKey, value);
+            });
+            mcode.done(`mcode-cache initialized with TTL: ${this.#cacheTTL} 📣`, MODULE_NAME);
+        }
+    }
+
+    /**
+     * @function _redisInit
+     * @api private
+     * @memberof mcode.cache
+     * @desc Gets the Redis client for a Redis namespace, creating and connecting it if no other namespace
+     * already uses the same server (URL) and user. Each client has its own connection state and error handling,
+     * reconnects with a growing backoff, and has a circuit breaker that is opened while it reconnects.
+     * @param {object} namespace the Redis namespace configuration {url, user, password, reconnect, breaker}.
+     * @returns {string} the connection id of the Redis client.
+     */
+    _redisInit(namespace)
+    {
+        const connectionId = `${namespace.user || ''}@${namespace.url}`;
+
+        if (this.#redisClients.has(connectionId))
+        {
+            mcode.info(`Sharing REDIS client on: ${namespace.url} with namespace: ${namespace.name}`, MODULE_NAME);
+            return connectionId;
+        }
+
+        const reconnect = {min: cache.REDIS_RECONNECT_MIN, max: cache.REDIS_RECONNECT_MAX, ...namespace.reconnect};
+        const breaker = {failures: cache.BREAKER_FAILURES, reset: cache.BREAKER_RESET, ...namespace.breaker};
+
+        // Set-up Redis client configuration based on security
+        const clientOptions = {
+            url: namespace.url,
+            socket: {
+                connectTimeout: Math.round((namespace.timeout || cache.REDIS_TIMEOUT) * 1000),
+                reconnectStrategy: (retries) => cache._redisBackoff(retries, reconnect)
+            }
+        };
+
+        if (namespace.user && namespace.password)
+        {
+            clientOptions.username = namespace.user;
+            clientOptions.password = namespace.password;
+        }
+
+        // Create Redis Client
+        const connection = {
+            id: connectionId,
+            client: Redis.createClient(clientOptions),
+            url: namespace.url,
+            connected: false,
+            breaker: {state: 'closed', failures: 0, limit: breaker.failures, reset: breaker.reset, openedAt: 0, trial: false}
+        };
+
+        connection.client.on('ready', () =>
+        {
+            mcode.done(`REDIS client connected on: ${connection.url} 📣`, MODULE_NAME);
+
+            connection.connected = true;
+            this._breakerState(connection, 'closed');
+            this._shadowDrop(connectionId);
+            this._redisEmit('redis:connect', connectionId);
+        });
+
+        connection.client.on('end', () =>
+        {
+            connection.connected = false;
+        });
+
+        connection.client.on('error', (err) =>
+        {
+            mcode.error(`REDIS client error on: ${connection.url}`, MODULE_NAME, err);
+
+            this._redisEmit('redis:error', connectionId, {error: err});
+        });
+
+        connection.client.on('reconnecting', () =>
+        {
+            connection.connected = false;
+            this._breakerState(connection, 'open');
+            this._redisEmit('redis:reconnecting', connectionId);
+        });
+
+        connection.client.connect().catch((exp) =>
+        {
+            mcode.exp(`Exception connecting REDIS client on: ${connection.url}`, MODULE_NAME, exp);
+        });
+
+        this.#redisClients.set(connectionId, connection);
+
+        return connectionId;
+    }
+
+    /**
+     * @function _redisConnection
+     * @api private
+     * @memberof mcode.cache
+     * @desc Gets the Redis connection of a Redis namespace, {id, client, url, connected, breaker}.
+     * @param {string} namespaceOrKey the namespace name, or a cache key '<namespace>:<key>'.
+     * @returns {object} the Redis connection.
+     */
+    _redisConnection(namespaceOrKey)
+    {
+        const config = this.#namespaceConfigs[this._namespaceOf(namespaceOrKey)];
+        const connection = config && this.#redisClients.get(config.connection);
+
+        if (!connection)
+        {
+            throw new Error(`No REDIS client for: ${namespaceOrKey}, is it a 'redis' namespace?`);
+        }
+
+        return connection;
+    }
+
+    /**
+     * @function _redisCommand
+     * @api private
+     * @memberof mcode.cache
+     * @desc Runs commands on the Redis client of a namespace through its circuit breaker, with the namespace 'timeout'.
+     * A command is refused at once while the client is disconnected or the circuit is open, instead of waiting in the
+     * client's offline queue. Timeouts and connection errors count against the breaker, Redis error replies do not.
+     * @param {string} namespaceOrKey the namespace name, or a cache key '<namespace>:<key>'.
+     * @param {function} command called with the Redis client, returns the Promise of the command(s).
+     * @returns {Promise} the reply of the command(s).
+     */
+    async _redisCommand(namespaceOrKey, command)
+    {
+        const connection = this._redisConnection(namespaceOrKey);
+
+        if (!this._breakerAllow(connection))
+        {
+            throw this._redisUnavailable(namespaceOrKey, connection);
+        }
+
+        const config = this.#namespaceConfigs[this._namespaceOf(namespaceOrKey)];
+        const timeout = config.timeout || cache.REDIS_TIMEOUT;
+        let timer;
+
+        try
+        {
+            const reply = await Promise.race([
+                command(connection.client),
+                new Promise((resolve, reject) =>
+                {
+                    timer = setTimeout(() => reject(new Error(`REDIS command timed out after ${timeout} seconds on: ${connection.url}`)), timeout * 1000);
+                })
+            ]);
+
+            this._breakerSuccess(connection);
+            return reply;
+        }
+        catch (exp)
+        {
+            if (exp instanceof Redis.ErrorReply)
+            {
+                this._breakerSuccess(connection);
+            }
+            else
+            {
+                this._breakerFailure(connection);
+            }
+
+            throw exp;
+        }
+        finally
+        {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * @function _redisUnavailable
+     * @api private
+     * @memberof mcode.cache
+     * @desc Makes the error of a command refused while Redis is unhealthy, with the 'code' CIRCUIT_OPEN.
+     * @param {string} namespaceOrKey the namespace name, or a cache key '<namespace>:<key>'.
+     * @param {object} connection the Redis connection.
+     * @returns {Error} the error.
+     */
+    _redisUnavailable(namespaceOrKey, connection)
+    {
+        const state = connection.connected ? `its circuit is ${connection.breaker.state}` : 'it is not connected';
+        const error = new Error(`REDIS is unavailable for: ${namespaceOrKey}, on: ${connection.url}, ${state}.`);
+
+        error.code = cache.CIRCUIT_OPEN;
+        return error;
+    }
+
+    /**
+     * @function _redisException
+     * @api private
+     * @memberof mcode.cache
+     * @desc Logs an exception of a Redis command, except a command refused by an open circuit, which was logged when it opened.
+     * @param {string} message the message to log.
+     * @param {Error} exp the exception.
+     */
+    _redisException(message, exp)
+    {
+        if (exp.code !== cache.CIRCUIT_OPEN)
+        {
+            mcode.exp(message, MODULE_NAME, exp);
+        }
+    }
+
+    /**
+     * @function _redisFallback
+     * @api private
+     * @memberof mcode.cache
+     * @desc Gets a key while its Redis is unhealthy, from the callback, or with a 'shadow' fallback from node-cache,
+     * where the callback's result is kept for no more than SHADOW_TTL seconds, until Redis is back.
+     * @param {string} cacheKey the key to the cache.
+     * @param {function} cb the callback function to get fresh value.
+     * @param {object} options the {ttl, negativeTtl}, in seconds, for a fresh value.
+     * @returns {Promise} the value.
+     */
+    async _redisFallback(cacheKey, cb, options)
+    {
+        const config = this.#namespaceConfigs[this._namespaceOf(cacheKey)];
+
+        if (config.type !== 'redis' || config.fallback !== 'shadow')
+        {
+            return cb();
+        }
+
+        const ttl = (options.ttl > 0) ? Math.min(options.ttl, cache.SHADOW_TTL) : cache.SHADOW_TTL;
+
+        return this._cacheGet(cacheKey, cb, {...options, ttl: ttl, tags: undefined});
+    }
+
+    /**
+     * @function _shadowDrop
+     * @api private
+     * @memberof mcode.cache
+     * @desc Drops the node-cache 'shadow' keys of the 'redis' namespaces of a connection, when Redis is back,
+     * so they are not served stale the next time its circuit opens.
+     * @param {string} connectionId the connection id of the Redis client.
+     */
+    _shadowDrop(connectionId)
+    {
+        if (!this.#cache)
+        {
+            return;
+        }
+
+        const prefixes = Object.keys(this.#namespaceConfigs)
+            .filter((name) => this.#namespaceConfigs[name].connection === connectionId && this.#namespaceConfigs[name].type === 'redis')
+            .map((name) => `${name}:`);
+        const shadowKeys = this.#cache.keys().filter((cacheKey) => prefixes.some((prefix) => cacheKey.startsWith(prefix)));
+
+        if (shadowKeys.length > 0)
+        {
+            this.#cache.del(shadowKeys);
+
+            mcode.info(`REDIS is back on: ${this.#redisClients.get(connectionId).url}, dropped ${shadowKeys.length} shadow key(s).`, MODULE_NAME);
+        }
+    }
+
+    /**
+     * @function _breakerAllow
+     * @api private
+     * @memberof mcode.cache
+     * @desc Checks if a command may be sent on a Redis connection. A closed circuit lets every command through, an open
+     * circuit none, until its 'reset' time has passed while connected, then it is 'half-open' and lets one trial through.
+     * @param {object} connection the Redis connection.
+     * @returns {boolean} true if the command may be sent.
+     */
+    _breakerAllow(connection)
+    {
+        const breaker = connection.breaker;
+
+        if (!connection.connected)
+        {
+            return false;
+        }
+
+        if (breaker.state === 'open' && Date.now() - breaker.openedAt >= breaker.reset * 1000)
+        {
+            this._breakerState(connection, 'half-open');
+        }
+
+        if (breaker.state === 'half-open' && !breaker.trial)
+        {
+            breaker.trial = true;
+            return true;
+        }
+
+        return (breaker.state === 'closed');
+    }
+
+    /**
+     * @function _breakerSuccess
+     * @api private
+     * @memberof mcode.cache
+     * @desc Records a command answered by Redis, closing the circuit after a trial.
+     * @param {object} connection the Redis connection.
+     */
+    _breakerSuccess(connection)
+    {
+        connection.breaker.failures = 0;
+        this._breakerState(connection, 'closed');
+    }
+
+    /**
+     * @function _breakerFailure
+     * @api private
+     * @memberof mcode.cache
+     * @desc Records a command that failed or timed out, opening the circuit after 'failures' in a row, or a failed trial.
+     * @param {object} connection the Redis connection.
+     */
+    _breakerFailure(connection)
+    {
+        const breaker = connection.breaker;
+
+        breaker.failures++;
+
+        if (breaker.state === 'half-open' || breaker.failures >= breaker.limit)
+        {
+            this._breakerState(connection, 'open');
+        }
+    }
+
+    /**
+     * @function _breakerState
+     * @api private
+     * @memberof mcode.cache
+     * @desc Changes the state of the circuit breaker of a Redis connection, logging it and emitting 'redis:circuit',
+     * a circuit that closes drops the 'shadow' keys kept while it was not.
+     * @param {object} connection the Redis connection.
+     * @param {string} state 'closed', 'open' or 'half-open'.
+     */
+    _breakerState(connection, state)
+    {
+        const breaker = connection.breaker;
+
+        if (state === 'open')
+        {
+            breaker.openedAt = Date.now();
+        }
+
+        if (breaker.state === state)
+        {
+            return;
+        }
+
+        breaker.state = state;
+        breaker.trial = false;
+
+        if (state === 'open')
+        {
+            mcode.warn(`REDIS circuit opened on: ${connection.url}, reads go to the fallback until it recovers.`, MODULE_NAME);
+        }
+        else if (state === 'closed')
+        {
+            breaker.failures = 0;
+            mcode.done(`REDIS circuit closed on: ${connection.url} 📣`, MODULE_NAME);
+
+            this._shadowDrop(connection.id);
+        }
+
+        this._redisEmit('redis:circuit', connection.id, {state: state});
+    }
+
+    /**
+     * @function _cacheGet
+     * @memberof mcode.cache
+     * @desc Caches the results of a callback function in cache under the current namespace and returns the key's value.
+     * @param {string} cacheKey the key to the cache.
+     * @param {function} cb the callback function to get fresh value.
+     * @param {object} options the {ttl, negativeTtl}, in seconds, for a fresh value.
+     * @returns {Promise} the cached value.
+     */
+    async _cacheGet(cacheKey, cb, options)
+    {
+        // if the cache is not enabled, just get the data from the callback
+        if (!this.#cacheEnabled)
+        {
+            return cb();
+        }
+
+        let value;
+        let found;
+
+        try
+        {
+            // NOTE: a cached value can be falsy (0, '', false, null), only a missing key is a miss
+            value = this.#cache.get(cacheKey);
+            found = (value !== undefined) || this.#cache.has(cacheKey);
+        }
+        catch (exp)
+        {
+            mcode.exp(`Exception getting cached '${cacheKey}' key value in NODE cache.`, MODULE_NAME, exp);
+
+            return cb();  // get the actual data from the data-specific callback function
+        }
+
+        this._statsCount(cacheKey, 'node', found ? 'hits' : 'misses');
+        this._cacheEmit(found ? 'hit' : 'miss', cacheKey, 'node');
+
+        if (found)
+        {
+            this._usageTouch(cacheKey);
+        }
+
+        if (!found)
+        {
+            // if the key does not exist in cache, use the callback to get the actual data - once for all callers...
+            value = await this._cacheLoad(cacheKey, async () =>
+            {
+                const fresh = await this._statsLoad(cacheKey, 'node', cb);
+                const freshTTL = this._freshTTL(fresh, options);
+
+                // ...and then Set the key:value in the cache
+                if (freshTTL !== null)
+                {
+                    await this._cacheSet(cacheKey, fresh, freshTTL);
+                    this._cacheTag(cacheKey, options.tags);
+                }
+
+                return fresh;
+            });
+        }
+
+        return value;
+    }
+
+    /**
+     * @function _redisGet
+     * @memberof mcode.cache
+     * @desc Caches the results of a callback function in cache under the current namespace and returns the key's value.
+     * @param {string} cacheKey the key to the cache.
+     * @param {function} cb the callback function to get fresh value.
+     * @param {object} options the {ttl, negativeTtl}, in seconds, for a fresh value.
+     * @returns {Promise} the cached value.
+     */
+    async _redisGet(cacheKey, cb, options)
+    {
+        // if the cache is not enabled, just get the data from the callback
+        if (!this.#redisEnabled)
+        {
+            return cb();
+        }
+
+        let value;
+        let found;
+
+        try
+        {
+            // NOTE: every value is stored encoded, so only a missing key returns null (no need for EXISTS)
+            const text = await this._redisCommand(cacheKey, (redis) => redis.get(cacheKey));
+            found = (text !== null);
+            value = found ? this._namespaceCodec(cacheKey).decode(text) : null;
+        }
+        catch (exp)
+        {
+            this._redisException(`Exception getting cached '${cacheKey}' key value in REDIS cache.`, exp);
+
+            return this._redisFallback(cacheKey, cb, options);  // while Redis is unhealthy, the namespace's fallback
+        }
+
+        this._statsCount(cacheKey, 'redis', found ? 'hits' : 'misses');
+        this._cacheEmit(found ? 'hit' : 'miss', cacheKey, 'redis');
+
+        if (!found)
+        {
+            // if the key does not exist in cache, use the callback to get the actual data - once for all callers
+            value = await this._cacheLoad(cacheKey, () => this._redisLoad(cacheKey, cb, options));
+        }
+
+        return value;
+    }
+
+    /**
+     * @function _hybridGet
+     * @memberof mcode.cache
+     * @desc Gets a 'hybrid' key from the L1 node-cache, then the L2 Redis cache, then the callback,
+     * and fills L1 from whichever answered.
+     * @param {string} cacheKey the key to the cache.
+     * @param {function} cb the callback function to get fresh value.
+     * @param {object} options the {ttl, negativeTtl}, in seconds, for a fresh value.
+     * @returns {Promise} the cached value.
+     */
+    async _hybridGet(cacheKey, cb, options)
+    {
+        if (this.#cacheEnabled)
+        {
+            try
+            {
+                const value = this.#cache.get(cacheKey);
+
+                if (value !== undefined || this.#cache.has(cacheKey))
+                {
+                    this._statsCount(cacheKey, 'node', 'hits');
+                    this._cacheEmit('hit', cacheKey, 'node');
+                    this._usageTouch(cacheKey);
+                    return value;
+                }
+
+                this._statsCount(cacheKey, 'node', 'misses');
+                this._cacheEmit('miss', cacheKey, 'node');
+            }
+            catch (exp)
+            {
+                mcode.exp(`Exception getting cached '${cacheKey}' key value in NODE (L1) cache.`, MODULE_NAME, exp);
+            }
+        }
+
+        // L2, and the callback on an L2 miss, with its single-flight and optional lock
+        const value = await this._redisGet(cacheKey, cb, options);
+
+        // fill L1, unless this is a 'not found' that L2 did not cache either
+        const l2TTL = this._freshTTL(value, options);
+
+        if (l2TTL !== null)
+        {
+            await this._cacheSet(cacheKey, value, this._hybridL1TTL(cacheKey, l2TTL));
+            this._cacheTag(cacheKey, options.tags);
+        }
+
+        return value;
+    }
+
+    /**
+     * @function _cacheGetMany
+     * @memberof mcode.cache
+     * @desc Gets many keys from the node-cache at once, counting a hit or a miss for each.
+     * @param {Array} cacheKeys the keys to the cache.
+     * @returns {Promise<Map>} the keys found, cacheKey: value, a key missing from it is a miss.
+     */
+    async _cacheGetMany(cacheKeys)
+    {
+        const found = new Map();
+
+        // if the cache is not enabled, every key is missing
+        if (!this.#cacheEnabled || cacheKeys.length === 0)
+        {
+            return found;
+        }
+
+        try
+        {
+            // NOTE: a cached value can be falsy (0, '', false, null), only a key missing from the result is a miss
+            const values = this.#cache.mget(cacheKeys);
+
+            for (const cacheKey of cacheKeys)
+            {
+                if (Object.prototype.hasOwnProperty.call(values, cacheKey))
+                {
+                    found.set(cacheKey, values[cacheKey]);
+                }
+            }
+        }
+        catch (exp)
+        {
+            mcode.exp(`Exception getting ${cacheKeys.length} cached key values in NODE cache.`, MODULE_NAME, exp);
+
+            return found;
+        }
+
+        for (const cacheKey of cacheKeys)
+        {
+            const hit = found.has(cacheKey);
+
+            this._statsCount(cacheKey, 'node', hit ? 'hits' : 'misses');
+            this._cacheEmit(hit ? 'hit' : 'miss', cacheKey, 'node');
+
+            if (hit)
+            {
+                this._usageTouch(cacheKey);
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * @function _redisGetMany
+     * @memberof mcode.cache
+     * @desc Gets many keys of one namespace from Redis with a single MGET, counting a hit or a miss for each.
+     * @param {Array} cacheKeys the keys to the cache.
+     * @returns {Promise<Map>} the keys found, cacheKey: value, a key missing from it is a miss.
+     */
+    async _redisGetMany(cacheKeys)
+    {
+        const found = new Map();
+
+        // if the cache is not enabled, every key is missing
+        if (!this.#redisEnabled || cacheKeys.length === 0)
+        {
+            return found;
+        }
+
+        try
+        {
+            // NOTE: every value is stored encoded, so only a missing key returns null
+            const texts = await this._redisCommand(cacheKeys[0], (redis) => redis.mGet(cacheKeys));
+            const codec = this._namespaceCodec(cacheKeys[0]);
+
+            cacheKeys.forEach((cacheKey, index) =>
+            {
+                if (texts[index] !== null)
+                {
+                    found.set(cacheKey, codec.decode(texts[index]));
+                }
+            });
+        }
+        catch (exp)
+        {
+            this._redisException(`Exception getting ${cacheKeys.length} cached key values in REDIS cache.`, exp);
+
+            return new Map();
+        }
+
+        for (const cacheKey of cacheKeys)
+        {
+            const hit = found.has(cacheKey);
+
+            this._statsCount(cacheKey, 'redis', hit ? 'hits' : 'misses');
+            this._cacheEmit(hit ? 'hit' : 'miss', cacheKey, 'redis');
+        }
+
+        return found;
+    }
+
+    /**
+     * @function _hybridGetMany
+     * @memberof mcode.cache
+     * @desc Gets many 'hybrid' keys from the L1 node-cache, then the ones L1 is missing from the L2 Redis cache,
+     * and fills L1 with what L2 had.
+     * @param {Array} cacheKeys the keys to the cache.
+     * @param {object} options the {ttl, negativeTtl, tags} of the keys.
+     * @returns {Promise<Map>} the keys found, cacheKey: value, a key missing from it is a miss.
+     */
+    async _hybridGetMany(cacheKeys, options)
+    {
+        const found = await this._cacheGetMany(cacheKeys);
+        const fromL2 = await this._redisGetMany(cacheKeys.filter(cacheKey => !found.has(cacheKey)));
+        const entries = [];
+
+        for (const [cacheKey, value] of fromL2)
+        {
+            found.set(cacheKey, value);
+
+            const l2TTL = this._freshTTL(value, options);
+
+            if (l2TTL !== null)
+            {
+                entries.push({cacheKey: cacheKey, value: value, ttl: this._hybridL1TTL(cacheKey, l2TTL)});
+            }
+        }
+
+        await this._cacheSetMany(entries);
+        entries.forEach(entry => this._cacheTag(entry.cacheKey, options.tags));
+
+        return found;
+    }
+
+    /**
+     * @function _cacheLoad
+     * @memberof mcode.cache
+     * @desc Runs a loader for a missing key once, concurrent callers for the same key share its result.
+     * The key is released when the loader settles, so a rejected loader is retried by the next caller.
+     * @param {string} cacheKey the key being loaded.
+     * @param {function} loader the function that loads and caches the fresh value.
+     * @returns {Promise} the fresh value.
+     */
+    async _cacheLoad(cacheKey, loader)
+    {
+        if (this.#cacheLoading.has(cacheKey))
+        {
+            return this.#cacheLoading.get(cacheKey);
+        }
+
+        const loading = (async () => loader())().finally(() =>
+        {
+            this.#cacheLoading.delete(cacheKey);
+        });
+
+        this.#cacheLoading.set(cacheKey, loading);
+
+        return loading;
+    }
+
+    /**
+     * @function _redisLoad
+     * @memberof mcode.cache
+     * @desc Loads a missing key with the callback and sets it in Redis. If the namespace has a 'lock'
+     * only one process loads the key, the others wait for it to appear (or for the lock to time out).
+     * @param {string} cacheKey the key being loaded.
+     * @param {function} cb the callback function to get fresh value.
+     * @param {object} options the {ttl, negativeTtl}, in seconds, for the fresh value.
+     * @returns {Promise} the fresh value.
+     */
+    async _redisLoad(cacheKey, cb, options)
+    {
+        const config = this.#namespaceConfigs[this._namespaceOf(cacheKey)];
+        const lock = config && config.lock;
+        const codec = this._namespaceCodec(cacheKey);
+
+        if (lock)
+        {
+            const lockKey = `${cache.LOCK_PREFIX}${cacheKey}`;
+            const token = crypto.randomUUID();
+            const deadline = Date.now() + lock.wait * 1000;
+
+            while (Date.now() < deadline)
+            {
+                let acquired = false;
+                let text;
+
+                // only a failure of Redis goes to the fallback, a failure of the callback is the caller's
+                try
+                {
+                    acquired = await this._redisCommand(cacheKey, (redis) => redis.set(lockKey, token, {NX: true, PX: Math.round(lock.ttl * 1000)}));
+
+                    if (!acquired)
+                    {
+                        // another process holds the lock, wait for it to set the key
+                        await new Promise(resolve => setTimeout(resolve, lock.retry * 1000));
+                    }
+
+                    // with the lock, another process may have set the key between our miss and our lock
+                    text = await this._redisCommand(cacheKey, (redis) => redis.get(cacheKey));
+                }
+                catch (exp)
+                {
+                    if (acquired)
+                    {
+                        await this._redisUnlock(cacheKey, lockKey, token);
+                    }
+
+                    this._redisException(`Exception with the REDIS lock on '${cacheKey}', loading it from the fallback.`, exp);
+
+                    return this._redisFallback(cacheKey, cb, options);
+                }
+
+                if (acquired)
+                {
+                    try
+                    {
+                        return (text !== null) ? codec.decode(text) : await this._redisFill(cacheKey, cb, options);
+                    }
+                    finally
+                    {
+                        await this._redisUnlock(cacheKey, lockKey, token);
+                    }
+                }
+
+                if (text !== null)
+                {
+                    return codec.decode(text);
+                }
+            }
+
+            mcode.warn(`Timed out waiting for the REDIS lock on '${cacheKey}', loading it here.`, MODULE_NAME);
+        }
+
+        return await this._redisFill(cacheKey, cb, options);
+    }
+
+    /**
+     * @function _redisFill
+     * @memberof mcode.cache
+     * @desc Gets a fresh value from the callback and sets it in Redis, unless it is 'not found' without negative caching.
+     * @param {string} cacheKey the key being loaded.
+     * @param {function} cb the callback function to get fresh value.
+     * @param {object} options the {ttl, negativeTtl}, in seconds, for the fresh value.
+     * @returns {Promise} the fresh value.
+     */
+    async _redisFill(cacheKey, cb, options)
+    {
+        const fresh = await this._statsLoad(cacheKey, 'redis', cb);
+        const freshTTL = this._freshTTL(fresh, options);
+
+        if (freshTTL !== null)
+        {
+            await this._redisSet(cacheKey, fresh, freshTTL);
+            await this._redisTag(cacheKey, options.tags, freshTTL);
+        }
+
+        return fresh;
+    }
+
+    /**
+     * @function _redisUnlock
+     * @memberof mcode.cache
+     * @desc Releases a Redis load lock, only if it is still held by this caller's token.
+     * @param {string} cacheKey the key being loaded, for its Redis client.
+     * @param {string} lockKey the Redis key of the lock.
+     * @param {string} token the token written when the lock was acquired.
+     */
+    async _redisUnlock(cacheKey, lockKey, token)
+    {
+        try
+        {
+            await this._redisCommand(cacheKey, (redis) => redis.eval(
+                "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+                {keys: [lockKey], arguments: [token]}));
+        }
+        catch (exp)
+        {
+            this._redisException(`Exception releasing REDIS lock '${lockKey}', it will expire on its own.`, exp);
+        }
+    }
+
+    /**
+     * @function _cacheSet
+     * @memberof mcode.cache
+     * @desc Sets a key value in the cache.
+     * @param {string} cacheKey the cache key to be set.
+     * @param {string} value the value to be set in the cache.
+     * @param {number} ttl the Time-To-Live, in seconds (0 = never expire).
+     */
+    async _cacheSet(cacheKey, value, ttl)
+    {
+        try
+        {
+            // if the cache is not enabled, or the value can never fit its namespace, just return
+            if (!this.#cacheEnabled || !this._usageFits(cacheKey, value))
+            {
+                return;
+            }
+
+            await this.#cache.set(cacheKey, value, ttl);
+            this._statsCount(cacheKey, 'node', 'sets');
+            this._cacheEmit('set', cacheKey, 'node');
+        }
+        catch (exp)
+        {
+            mcode.exp(`Exception setting ${cacheKey} value in NODE cache.`, MODULE_NAME, exp);
+        }
+    }
+
+    /**
+     * @function _redisSet
+     * @memberof mcode.cache
+     * @desc Sets a key value in the cache.
+     * @param {string} cacheKey the cache key to be set.
+     * @param {string} value the value to be set in the cache.
+     * @param {number} ttl the Time-To-Live, in seconds (0 = never expire).
+     */
+    async _redisSet(cacheKey, value, ttl)
+    {
+        try
+        {
+            // if the cache is not enabled, just return
+            if (!this.#redisEnabled)
+            {
+                return;
+            }
+
+            // Redis only stores strings, so encode the value with the namespace's codec
+            const text = this._namespaceCodec(cacheKey).encode(value);
+
+            // Redis keys have no default TTL, so always pass it explicitly - in milliseconds
+            if (ttl > 0)
+            {
+                await this._redisCommand(cacheKey, (redis) => redis.set(cacheKey, text, {PX: Math.round(ttl * 1000)}));
+            }
+            else
+            {
+                await this._redisCommand(cacheKey, (redis) => redis.set(cacheKey, text));
+            }
+
+            this._statsCount(cacheKey, 'redis', 'sets');
+            this._cacheEmit('set', cacheKey, 'redis');
+        }
+        catch (exp)
+        {
+            this._redisException(`Exception setting ${cacheKey} value in REDIS cache.`, exp);
+        }
+    }
+
+    /**
+     * @function _cacheSetMany
+     * @memberof mcode.cache
+     * @desc Sets many key values in the node-cache at once.
+     * @param {Array} entries the {cacheKey, value, ttl} to set, the TTL in seconds (0 = never expire).
+     */
+    async _cacheSetMany(entries)
+    {
+        // if the cache is not enabled, or there is nothing to set, just return
+        if (!this.#cacheEnabled || entries.length === 0)
+        {
+            return;
+        }
+
+        try
+        {
+            const fits = entries.filter(entry => this._usageFits(entry.cacheKey, entry.value));
+
+            this.#cache.mset(fits.map(entry => ({key: entry.cacheKey, val: entry.value, ttl: entry.ttl})));
+
+            for (const entry of fits)
+            {
+                this._statsCount(entry.cacheKey, 'node', 'sets');
+                this._cacheEmit('set', entry.cacheKey, 'node');
+            }
+        }
+        catch (exp)
+        {
+            mcode.exp(`Exception setting ${entries.length} key values in NODE cache.`, MODULE_NAME, exp);
+        }
+    }
+
+    /**
+     * @function _redisSetMany
+     * @memberof mcode.cache
+     * @desc Sets many key values of one namespace in Redis with a single MULTI.
+     * @param {Array} entries the {cacheKey, value, ttl} to set, the TTL in seconds (0 = never expire).
+     */
+    async _redisSetMany(entries)
+    {
+        // if the cache is not enabled, or there is nothing to set, just return
+        if (!this.#redisEnabled || entries.length === 0)
+        {
+            return;
+        }
+
+        try
+        {
+            const codec = this._namespaceCodec(entries[0].cacheKey);
+
+            await this._redisCommand(entries[0].cacheKey, (redis) =>
+            {
+                const multi = redis.multi();
+
+                // Redis keys have no default TTL, so always pass it explicitly - in milliseconds
+                for (const entry of entries)
+                {
+                    if (entry.ttl > 0)
+                    {
+                        multi.set(entry.cacheKey, codec.encode(entry.value), {PX: Math.round(entry.ttl * 1000)});
+                    }
+                    else
+                    {
+                        multi.set(entry.cacheKey, codec.encode(entry.value));
+                    }
+                }
+
+                return multi.exec();
+            });
+
+            for (const entry of entries)
+            {
+                this._statsCount(entry.cacheKey, 'redis', 'sets');
+                this._cacheEmit('set', entry.cacheKey, 'redis');
+            }
+        }
+        catch (exp)
+        {
+            this._redisException(`Exception setting ${entries.length} key values in REDIS cache.`, exp);
+        }
+    }
+
+    /**
+     * @func _cacheDrop
+     * @memberof mcode.cache
+     * @desc Drops a key value from the cache based on the 'key' name.
+     * @param {string} cacheKey the cache key to be droppped.
+     * @returns {number} the number of keys deleted from the cache.
+     * @api public
+     * @example
+     *     const count = await mcode.cacheDrop(keyName);
+     */
+    async _cacheDrop(cacheKey)
+    {
+        this._fileForget(cacheKey);
+
+        const count = await this.#cache.del(cacheKey);
+        this._statsCount(cacheKey, 'node', 'drops', count);
+
+        if (count > 0)
+        {
+            this._cacheEmit('drop', cacheKey, 'node');
+        }
+
+        return count;
+    }
+
+    /**
+     * @func _redisDrop
+     * @memberof mcode.cache
+     * @desc Drops a key value from the cache based on the 'key' name.
+     * @param {string} cacheKey the cache key to be droppped.
+     * @returns {number} the number of keys deleted from the cache.
+     * @api public
+     * @example
+     *     const count = await mcode.cacheDrop(keyName);
+     */
+    async _redisDrop(cacheKey)
+    {
+        this._fileForget(cacheKey);
+
+        // the key's list of tags goes with it, the tag sets are pruned by cacheDropTag()
+        const [count] = await this._redisCommand(cacheKey, (redis) => redis.multi()
+            .del(cacheKey)
+            .del(`${cache.TAGGED_PREFIX}${cacheKey}`)
+            .exec());
+        this._statsCount(cacheKey, 'redis', 'drops', count);
+
+        if (count > 0)
+        {
+            this._cacheEmit('drop', cacheKey, 'redis');
+        }
+
+        return count;
+    }
+
+    /**
+     * @func _cacheDropMany
+     * @memberof mcode.cache
+     * @desc Drops many keys from the node-cache at once.
+     * @param {Array} cacheKeys the cache keys to be dropped.
+     * @returns {number} the number of keys deleted from the cache.
+     */
+    async _cacheDropMany(cacheKeys)
+    {
+        cacheKeys.forEach(cacheKey => this._fileForget(cacheKey));
+
+        const droppedKeys = cacheKeys.filter(cacheKey => this.#cache.has(cacheKey));
+
+        if (droppedKeys.length === 0)
+        {
+            return 0;
+        }
+
+        const count = this.#cache.del(droppedKeys);
+
+        for (const cacheKey of droppedKeys)
+        {
+            this._statsCount(cacheKey, 'node', 'drops');
+            this._cacheEmit('drop', cacheKey, 'node');
+        }
+
+        return count;
+    }
+
+    /**
+     * @func _redisDropMany
+     * @memberof mcode.cache
+     * @desc Drops many keys of one namespace from Redis with a single MULTI, with their lists of tags.
+     * @param {Array} cacheKeys the cache keys to be dropped.
+     * @returns {number} the number of keys deleted from the cache.
+     */
+    async _redisDropMany(cacheKeys)
+    {
+        if (cacheKeys.length === 0)
+        {
+            return 0;
+        }
+
+        cacheKeys.forEach(cacheKey => this._fileForget(cacheKey));
+
+        // two replies per key, the key's own DEL comes first
+        const replies = await this._redisCommand(cacheKeys[0], (redis) =>
+        {
+            const multi = redis.multi();
+
+            for (const cacheKey of cacheKeys)
+            {
+                multi.del(cacheKey).del(`${cache.TAGGED_PREFIX}${cacheKey}`);
+            }
+
+            return multi.exec();
+        });
+        let count = 0;
+
+        cacheKeys.forEach((cacheKey, index) =>
+        {
+            if (replies[index * 2] > 0)
+            {
+                count++;
+                this._statsCount(cacheKey, 'redis', 'drops');
+                this._cacheEmit('drop', cacheKey, 'redis');
+            }
+        });
+
+        return count;
+    }
+
+    /**
+     * @func _fileGet
+     * @memberof mcode.cache
+     * @desc Gets the cache entry of a file, reading the file and caching it with its metadata on a miss.
+     * @param {string} filePath a standard file system reference to the file to be read.
+     * @param {string} fileEncoding the encoding of the file to be read.
+     * @param {object} options the {ttl, negativeTtl, hash, namespace} requested by the caller.
+     * @returns {Promise} the file entry {content, meta}, null if the file is missing and negative caching is on.
+     */
+    async _fileGet(filePath, fileEncoding, {ttl, negativeTtl, hash = cache.FILE_HASH, namespace})
+    {
+        // make the auto-generated cache key for the file
+        const thisNamespace = this._namespaceResolve(namespace);
+        const cacheKey = this.fileMakeKey(filePath, thisNamespace);
+
+        const options = {
+            ttl: this._namespaceTTL(thisNamespace, ttl),
+            negativeTtl: this._namespaceNegativeTTL(thisNamespace, negativeTtl),
+            hash
+        };
+
+        return this._namespaceGet(cacheKey, async () =>
+        {
+            try
+            {
+                // Check if the file exists and is accessible
+                await fs.access(filePath, fs.constants.R_OK);
+            }
+            catch (exp)
+            {
+                // with negative caching a missing file is 'not found', and is remembered as such
+                if (options.negativeTtl > 0 && exp.code === 'ENOENT')
+                {
+                    return null;
+                }
+
+                mcode.exp(`File is NOT READ accessible: ${filePath}`, MODULE_NAME, exp);
+                throw new Error(`File READ access error: ${filePath}`);
+            }
+
+            const entry = await this._fileLoad(filePath, fileEncoding, hash);
+
+            // remember where this entry came from, so it can follow changes to the file
+            this._fileTrack(cacheKey, filePath, fileEncoding, options);
+
+            return entry;
+        }, options);
+    }
+
+    /**
+     * @func _fileLoad
+     * @memberof mcode.cache
+     * @desc Reads a file from disk into a cache entry, its content plus its metadata.
+     * @param {string} filePath a standard file system reference to the file to be read.
+     * @param {string} fileEncoding the encoding of the file to be read, null for a Buffer.
+     * @param {string} hash the content hash algorithm.
+     * @returns {Promise} the file entry {content, meta}.
+     */
+    async _fileLoad(filePath, fileEncoding, hash = cache.FILE_HASH)
+    {
+        const [fileBuffer, fileStats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+
+        // hash and size the bytes on disk, whatever the encoding of the content
+        const content = fileEncoding ? fileBuffer.toString(fileEncoding) : fileBuffer;
+
+        return {content, meta: this._fileMeta(fileBuffer, fileStats, fileEncoding, hash)};
+    }
+
+    /**
+     * @func _fileMeta
+     * @memberof mcode.cache
+     * @desc Builds the metadata cached alongside a file's content.
+     * @param {Buffer} fileBuffer the bytes of the file.
+     * @param {object} fileStats the fs.Stats of the file, or null if unknown.
+     * @param {string} fileEncoding the encoding of the cached content.
+     * @param {string} hash the content hash algorithm.
+     * @param {Date} [cachedAt] the time the content was cached, default is now.
+     * @returns {object} {size, mtime, encoding, hash, hashAlgorithm, etag, cachedAt}.
+     */
+    _fileMeta(fileBuffer, fileStats, fileEncoding, hash, cachedAt = null)
+    {
+        const digest = crypto.createHash(hash).update(fileBuffer).digest('hex');
+
+        return {
+            size: fileBuffer.length,
+            mtime: fileStats ? fileStats.mtime : null,
+            encoding: fileEncoding,
+            hash: digest,
+            hashAlgorithm: hash,
+            etag: `W/"${fileBuffer.length.toString(16)}-${digest}"`,
+            cachedAt: cachedAt || new Date()
+        };
+    }
+
+    /**
+     * @func _fileIsEntry
+     * @memberof mcode.cache
+     * @desc Checks if a cached value is a file entry {content, meta} rather than a plain value.
+     * @param {any} value the cached value.
+     * @returns {boolean} true for a file entry.
+     */
+    _fileIsEntry(value)
+    {
+        return !!value && typeof value === 'object' && !Buffer.isBuffer(value) &&
+            'content' in value && !!value.meta && typeof value.meta.etag === 'string';
+    }
+
+    /**
+     * @func _fileContent
+     * @memberof mcode.cache
+     * @desc Gets the file content from a cached value, a file entry or a plain value cached before metadata.
+     * @param {any} value the cached value.
+     * @returns {any} the file content.
+     */
+    _fileContent(value)
+    {
+        return this._fileIsEntry(value) ? value.content : value;
+    }
+
+    /**
+     * @func _fileWalk
+     * @memberof mcode.cache
+     * @desc Lists the files in a directory, and optionally in all of its sub-directories.
+     * @param {string} dirPath the directory to walk.
+     * @param {boolean} recursive true to include sub-directories.
+     * @returns {Promise} an array of file paths.
+     */
+    async _fileWalk(dirPath, recursive)
+    {
+        const filePaths = [];
+        const entries = await fs.readdir(dirPath, {withFileTypes: true});
+
+        for (const entry of entries)
+        {
+            const entryPath = path.join(dirPath, entry.name);
+
+            if (entry.isDirectory())
+            {
+                if (recursive)
+                {
+                    filePaths.push(...await this._fileWalk(entryPath, recursive));
+                }
+            }
+            else if (entry.isFile())
+            {
+                filePaths.push(entryPath);
+            }
+        }
+
+        return filePaths;
+    }
+
+    /**
+     * @func _filePattern
+     * @memberof mcode.cache
+     * @desc Converts an include/exclude pattern into a RegExp, a glob without '/' is matched against file names.
+     * @param {string|RegExp} pattern the glob or RegExp.
+     * @returns {RegExp} the RegExp, with 'byName' set if it matches file names rather than relative paths.
+     */
+    _filePattern(pattern)
+    {
+        if (pattern instanceof RegExp)
+        {
+            return pattern;
+        }
+
+        const regex = this._convertPathGlobToRegExp(pattern);
+        regex.byName = !pattern.includes('/');
+
+        return regex;
+    }
+
+    /**
+     * @func _fileTrack
+     * @memberof mcode.cache
+     * @desc Records the file behind a fileRead() cache entry, and watches it while watching is on.
+     * @param {string} cacheKey the cache key of the file.
+     * @param {string} filePath the file system path the file was read from.
+     * @param {string} fileEncoding the encoding the file was read with.
+     * @param {object} options the {ttl, negativeTtl, hash} the file was cached with.
+     */
+    _fileTrack(cacheKey, filePath, fileEncoding, options)
+    {
+        // always remembered, so a later fileWatchOn() covers files cached before it, a drop forgets the file
+        this.#filePaths.set(cacheKey, {filePath: path.resolve(filePath), fileEncoding, options});
+
+        if (this.#fileWatch)
+        {
+            this._fileWatch(cacheKey);
+        }
+    }
+
+    /**
+     * @func _fileForget
+     * @memberof mcode.cache
+     * @desc Forgets the file behind a dropped cache entry, and releases its watcher, a new fileRead() tracks it again.
+     * @param {string} cacheKey the cache key of the file.
+     */
+    _fileForget(cacheKey)
+    {
+        if (this.#filePaths.delete(cacheKey))
+        {
+            this._fileUnwatch(cacheKey);
+        }
+    }
+
+    /**
+     * @func _fileWatch
+     * @memberof mcode.cache
+     * @desc Attaches a watcher to a tracked file, fs.watch() or polling with fs.watchFile() as the fallback.
+     * @param {string} cacheKey the cache key of the file.
+     * @param {boolean} [poll] true to poll this file even if watching is set to use fs.watch().
+     */
+    _fileWatch(cacheKey, poll = false)
+    {
+        const tracked = this.#filePaths.get(cacheKey);
+
+        if (!tracked || !this.#fileWatch || this.#fileWatchers.has(cacheKey))
+        {
+            return;
+        }
+
+        const watcher = {timer: null, fsWatcher: null, listener: null, filePath: tracked.filePath};
+
+        if (!this.#fileWatch.poll && !poll)
+        {
+            try
+            {
+                watcher.fsWatcher = watch(tracked.filePath, {persistent: false}, (eventType) =>
+                {
+                    this._fileChanged(cacheKey, eventType);
+                });
+
+                watcher.fsWatcher.on('error', (err) =>
+                {
+                    mcode.warn(`File watch error on: ${tracked.filePath}, switching to polling. ${err.message}`, MODULE_NAME);
+                    this._fileUnwatch(cacheKey);
+                    this._fileWatch(cacheKey, true);
+                });
+            }
+            catch (exp)
+            {
+                mcode.warn(`Cannot watch file: ${tracked.filePath}, polling it instead. ${exp.message}`, MODULE_NAME);
+                watcher.fsWatcher = null;
+            }
+        }
+
+        if (!watcher.fsWatcher)
+        {
+            watcher.listener = (current, previous) =>
+            {
+                if (current.mtimeMs !== previous.mtimeMs || current.nlink === 0)
+                {
+                    this._fileChanged(cacheKey, 'change');
+                }
+            };
+
+            watchFile(tracked.filePath, {persistent: false, interval: this.#fileWatch.interval}, watcher.listener);
+        }
+
+        this.#fileWatchers.set(cacheKey, watcher);
+    }
+
+    /**
+     * @func _fileUnwatch
+     * @memberof mcode.cache
+     * @desc Releases the watcher, and any pending debounce, of a tracked file.
+     * @param {string} cacheKey the cache key of the file.
+     */
+    _fileUnwatch(cacheKey)
+    {
+        const watcher = this.#fileWatchers.get(cacheKey);
+
+        if (!watcher)
+        {
+            return;
+        }
+
+        clearTimeout(watcher.timer);
+
+        if (watcher.fsWatcher)
+        {
+            watcher.fsWatcher.close();
+        }
+
+        if (watcher.listener)
+        {
+            unwatchFile(watcher.filePath, watcher.listener);
+        }
+
+        this.#fileWatchers.delete(cacheKey);
+    }
+
+    /**
+     * @func _fileChanged
+     * @memberof mcode.cache
+     * @desc Debounces the file events of a tracked file, then drops or reloads its cache entry.
+     * @param {string} cacheKey the cache key of the file.
+     * @param {string} eventType the fs.watch() event, 'change' or 'rename'.
+     */
+    _fileChanged(cacheKey, eventType)
+    {
+        const watcher = this.#fileWatchers.get(cacheKey);
+
+        if (!watcher || !this.#fileWatch)
+        {
+            return;
+        }
+
+        // a 'rename' is sticky within one debounce window, editors often save by replacing the file
+        watcher.renamed = watcher.renamed || eventType === 'rename';
+
+        clearTimeout(watcher.timer);
+
+        watcher.timer = setTimeout(async () =>
+        {
+            const tracked = this.#filePaths.get(cacheKey);
+            const renamed = watcher.renamed;
+            watcher.renamed = false;
+
+            if (!tracked)
+            {
+                return;
+            }
+
+            try
+            {
+                await fs.access(tracked.filePath, fs.constants.R_OK);
+            }
+            catch
+            {
+                // the file is gone, so is its cache entry and the need to watch it
+                mcode.info(`Cached file deleted: ${tracked.filePath}, dropped from cache.`, MODULE_NAME);
+                this._fileUnwatch(cacheKey);
+                this.#filePaths.delete(cacheKey);
+
+                try
+                {
+                    await this._namespaceDrop(cacheKey);
+                }
+                catch (exp)
+                {
+                    mcode.exp(`Exception dropping deleted file: ${tracked.filePath}`, MODULE_NAME, exp);
+                }
+                return;
+            }
+
+            // a replaced file is a new inode, fs.watch() has to be re-attached to follow it
+            if (renamed && watcher.fsWatcher)
+            {
+                this._fileUnwatch(cacheKey);
+                this._fileWatch(cacheKey);
+            }
+
+            if (this.#fileWatch && this.#fileWatch.reload)
+            {
+                try
+                {
+                    const entry = await this._fileLoad(tracked.filePath, tracked.fileEncoding, tracked.options.hash);
+                    await this._namespaceSet(cacheKey, entry, tracked.options.ttl);
+                    mcode.info(`Cached file changed: ${tracked.filePath}, reloaded into cache.`, MODULE_NAME);
+                    return;
+                }
+                catch (exp)
+                {
+                    mcode.exp(`Exception reloading changed file: ${tracked.filePath}`, MODULE_NAME, exp);
+                }
+            }
+
+            try
+            {
+                await this._namespaceDrop(cacheKey);
+                mcode.info(`Cached file changed: ${tracked.filePath}, dropped from cache.`, MODULE_NAME);
+            }
+            catch (exp)
+            {
+                mcode.exp(`Exception dropping changed file: ${tracked.filePath}`, MODULE_NAME, exp);
+            }
+
+        }, this.#fileWatch.debounce);
+
+        if (watcher.timer.unref)
+        {
+            watcher.timer.unref();
+        }
+    }
+
+    /**
+     * @func _cacheGetTTL
+     * @memberof mcode.cache
+     * @desc Gets the remaining Time-To-Live of a key in the Node cache.
+     * @param {string} cacheKey the cache key to be checked.
+     * @returns {number} the remaining TTL in seconds, -1 if the key never expires, -2 if the key does not exist.
+     */
+    async _cacheGetTTL(cacheKey)
+    {
+        // node-cache returns the expiration timestamp in ms, 0 for never, undefined if missing
+        const expires = this.#cache.getTtl(cacheKey);
+
+        if (expires === undefined)
+        {
+            return -2;
+        }
+
+        if (expires === 0)
+        {
+            return -1;
+        }
+
+        return Math.max(0, (expires - Date.now()) / 1000);
+    }
+
+    /**
+     * @func _redisGetTTL
+     * @memberof mcode.cache
+     * @desc Gets the remaining Time-To-Live of a key in the Redis cache.
+     * @param {string} cacheKey the cache key to be checked.
+     * @returns {number} the remaining TTL in seconds, -1 if the key never expires, -2 if the key does not exist.
+     */
+    async _redisGetTTL(cacheKey)
+    {
+        // PTTL returns -2 for a missing key, -1 for no expiration, otherwise milliseconds
+        const expires = await this._redisCommand(cacheKey, (redis) => redis.pTTL(cacheKey));
+
+        return expires < 0 ? expires : expires / 1000;
+    }
+
+    /**
+     * @func _cacheSetTTL
+     * @memberof mcode.cache
+     * @desc Sets the remaining Time-To-Live of an existing key in the Node cache.
+     * @param {string} cacheKey the cache key to be changed.
+     * @param {number} ttl the new Time-To-Live, in seconds (0 = never expire).
+     * @returns {boolean} true if the key exists and its TTL was changed.
+     */
+    async _cacheSetTTL(cacheKey, ttl)
+    {
+        if (!this.#cache.has(cacheKey))
+        {
+            return false;
+        }
+
+        // NOTE: node-cache ttl() treats 0 as 'use stdTTL', so 'never expire' requires a re-set of the value
+        if (ttl === 0)
+        {
+            return this.#cache.set(cacheKey, this.#cache.get(cacheKey), 0);
+        }
+
+        return this.#cache.ttl(cacheKey, ttl);
+    }
+
+    /**
+     * @func _redisSetTTL
+     * @memberof mcode.cache
+     * @desc Sets the remaining Time-To-Live of an existing key in the Redis cache.
+     * @param {string} cacheKey the cache key to be changed.
+     * @param {number} ttl the new Time-To-Live, in seconds (0 = never expire).
+     * @returns {boolean} true if the key exists and its TTL was changed.
+     */
+    async _redisSetTTL(cacheKey, ttl)
+    {
+        const taggedKey = `${cache.TAGGED_PREFIX}${cacheKey}`;
+
+        if (ttl === 0)
+        {
+            await this._redisCommand(cacheKey, (redis) => redis.persist(cacheKey));
+            await this._redisCommand(cacheKey, (redis) => redis.persist(taggedKey));
+            return (await this._redisCommand(cacheKey, (redis) => redis.exists(cacheKey))) > 0;
+        }
+
+        // the key's list of tags expires with it
+        await this._redisCommand(cacheKey, (redis) => redis.pExpire(taggedKey, Math.round(ttl * 1000)));
+
+        return await this._redisCommand(cacheKey, (redis) => redis.pExpire(cacheKey, Math.round(ttl * 1000)));
+    }
+
+    /**
+     * @func _namespaceTTL
+     * @memberof mcode.cache
+     * @desc Resolves the Time-To-Live for a key, from the caller, then the namespace, then the 'cacheTTL' default.
+     * @param {string} namespace the namespace the key belongs to.
+     * @param {number} [ttl] the Time-To-Live requested by the caller, in seconds.
+     * @returns {number} the Time-To-Live to use, in seconds (0 = never expire).
+     */
+    _namespaceTTL(namespace, ttl)
+    {
+        if (ttl !== undefined && ttl !== null)
+        {
+            return ttl;
+        }
+
+        const config = this.#namespaceConfigs[namespace];
+
+        if (config && config.ttl !== undefined)
+        {
+            return config.ttl;
+        }
+
+        return this.#cacheTTL;
+    }
+
+    /**
+     * @func _namespaceGet
+     * @memberof mcode.cache
+     * @desc Gets a key from the cache of the namespace it belongs to, loading it with the callback on a miss.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     * @param {function} cb the callback function to get fresh value.
+     * @param {object} options the {ttl, negativeTtl}, in seconds, for a fresh value.
+     * @returns {Promise} the cached value.
+     */
+    async _namespaceGet(cacheKey, cb, options)
+    {
+        switch (this._namespaceType(cacheKey))
+        {
+            case 'redis':
+                return await this._redisGet(cacheKey, cb, options);
+
+            case 'hybrid':
+                return await this._hybridGet(cacheKey, cb, options);
+
+            default:
+                return await this._cacheGet(cacheKey, cb, options);
+        }
+    }
+
+    /**
+     * @func _namespaceSet
+     * @memberof mcode.cache
+     * @desc Sets a key in the cache of the namespace it belongs to.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     * @param {any} value the value to be set in the cache.
+     * @param {number} ttl the Time-To-Live, in seconds (0 = never expire).
+     * @param {Array} [tags] tags for the key.
+     */
+    async _namespaceSet(cacheKey, value, ttl, tags)
+    {
+        switch (this._namespaceType(cacheKey))
+        {
+            case 'redis':
+                await this._redisSet(cacheKey, value, ttl);
+                await this._redisTag(cacheKey, tags, ttl);
+                return;
+
+            case 'hybrid':
+                // L2 first, so the L1 copy is never newer than the shared copy
+                await this._redisSet(cacheKey, value, ttl);
+                await this._redisTag(cacheKey, tags, ttl);
+                await this._cacheSet(cacheKey, value, this._hybridL1TTL(cacheKey, ttl));
+                this._cacheTag(cacheKey, tags);
+                this._busPublish({op: 'drop', cacheKey: cacheKey});
+                return;
+
+            default:
+                await this._cacheSet(cacheKey, value, ttl);
+                this._cacheTag(cacheKey, tags);
+                this._busPublish({op: 'set', cacheKey: cacheKey, value: value, ttl: ttl, tags: tags});
+                return;
+        }
+    }
+
+    /**
+     * @func _namespaceDrop
+     * @memberof mcode.cache
+     * @desc Drops a key from the cache of the namespace it belongs to.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     * @returns {number} the number of keys deleted from the cache.
+     */
+    async _namespaceDrop(cacheKey)
+    {
+        switch (this._namespaceType(cacheKey))
+        {
+            case 'redis':
+                return await this._redisDropSafe(cacheKey);
+
+            case 'hybrid':
+            {
+                // as with a set, a Redis failure is logged, and the L1 copies of the other App instances still go
+                const nodeCount = await this._cacheDrop(cacheKey);
+                const redisCount = await this._redisDropSafe(cacheKey);
+
+                this._busPublish({op: 'drop', cacheKey: cacheKey});
+                return Math.max(nodeCount, redisCount);
+            }
+
+            default:
+            {
+                const count = await this._cacheDrop(cacheKey);
+                this._busPublish({op: 'drop', cacheKey: cacheKey});
+                return count;
+            }
+        }
+    }
+
+    /**
+     * @func _namespaceGetMany
+     * @memberof mcode.cache
+     * @desc Gets many keys of one namespace from its cache, without loading the missing ones.
+     * @param {Array} cacheKeys the cache keys, '<namespace>:<key>'.
+     * @param {object} options the {ttl, negativeTtl, tags} of the keys.
+     * @returns {Promise<Map>} the keys found, cacheKey: value.
+     */
+    async _namespaceGetMany(cacheKeys, options)
+    {
+        if (cacheKeys.length === 0)
+        {
+            return new Map();
+        }
+
+        switch (this._namespaceType(cacheKeys[0]))
+        {
+            case 'redis':
+                return await this._redisGetMany(cacheKeys);
+
+            case 'hybrid':
+                return await this._hybridGetMany(cacheKeys, options);
+
+            default:
+                return await this._cacheGetMany(cacheKeys);
+        }
+    }
+
+    /**
+     * @func _namespaceSetMany
+     * @memberof mcode.cache
+     * @desc Sets many keys of one namespace in its cache.
+     * @param {Array} entries the {cacheKey, value, ttl} to set, the TTL in seconds (0 = never expire).
+     * @param {Array} [tags] tags for every key.
+     */
+    async _namespaceSetMany(entries, tags)
+    {
+        if (entries.length === 0)
+        {
+            return;
+        }
+
+        switch (this._namespaceType(entries[0].cacheKey))
+        {
+            case 'redis':
+                await this._redisSetMany(entries);
+
+                for (const entry of entries)
+                {
+                    await this._redisTag(entry.cacheKey, tags, entry.ttl);
+                }
+                return;
+
+            case 'hybrid':
+                // L2 first, so the L1 copies are never newer than the shared copies
+                await this._redisSetMany(entries);
+
+                for (const entry of entries)
+                {
+                    await this._redisTag(entry.cacheKey, tags, entry.ttl);
+                }
+
+                await this._cacheSetMany(entries.map(entry => ({...entry, ttl: this._hybridL1TTL(entry.cacheKey, entry.ttl)})));
+
+                for (const entry of entries)
+                {
+                    this._cacheTag(entry.cacheKey, tags);
+                    this._busPublish({op: 'drop', cacheKey: entry.cacheKey});
+                }
+                return;
+
+            default:
+                await this._cacheSetMany(entries);
+
+                for (const entry of entries)
+                {
+                    this._cacheTag(entry.cacheKey, tags);
+                    this._busPublish({op: 'set', cacheKey: entry.cacheKey, value: entry.value, ttl: entry.ttl, tags: tags});
+                }
+                return;
+        }
+    }
+
+    /**
+     * @func _namespaceDropMany
+     * @memberof mcode.cache
+     * @desc Drops many keys of one namespace from its cache.
+     * @param {Array} cacheKeys the cache keys, '<namespace>:<key>'.
+     * @returns {number} the number of keys deleted from the cache.
+     */
+    async _namespaceDropMany(cacheKeys)
+    {
+        if (cacheKeys.length === 0)
+        {
+            return 0;
+        }
+
+        switch (this._namespaceType(cacheKeys[0]))
+        {
+            case 'redis':
+                return await this._redisDropSafe(cacheKeys);
+
+            case 'hybrid':
+            {
+                // as with a set, a Redis failure is logged, and the L1 copies of the other App instances still go
+                const nodeCount = await this._cacheDropMany(cacheKeys);
+                const redisCount = await this._redisDropSafe(cacheKeys);
+
+                cacheKeys.forEach(cacheKey => this._busPublish({op: 'drop', cacheKey: cacheKey}));
+                return Math.max(nodeCount, redisCount);
+            }
+
+            default:
+            {
+                const count = await this._cacheDropMany(cacheKeys);
+                cacheKeys.forEach(cacheKey => this._busPublish({op: 'drop', cacheKey: cacheKey}));
+                return count;
+            }
+        }
+    }
+
+    /**
+     * @func _redisDropSafe
+     * @memberof mcode.cache
+     * @desc Drops a key, or many keys of one namespace, from Redis for the 'redis' and 'hybrid' drops alike,
+     * a Redis failure is logged and nothing is counted as dropped.
+     * @param {string|Array} cacheKeys the cache key, or the cache keys of one namespace.
+     * @returns {number} the number of keys deleted from Redis.
+     */
+    async _redisDropSafe(cacheKeys)
+    {
+        try
+        {
+            return Array.isArray(cacheKeys) ? await this._redisDropMany(cacheKeys) : await this._redisDrop(cacheKeys);
+        }
+        catch (exp)
+        {
+            const keys = Array.isArray(cacheKeys) ? `${cacheKeys.length} keys` : cacheKeys;
+            this._redisException(`Exception dropping ${keys} from REDIS cache.`, exp);
+            return 0;
+        }
+    }
+
+    /**
+     * @func _cacheTag
+     * @memberof mcode.cache
+     * @desc Adds tags to a node-cache key in the tag index, the key leaves the index when it is dropped or expires.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     * @param {Array} [tags] the tags, nothing is done without any.
+     */
+    _cacheTag(cacheKey, tags)
+    {
+        if (!tags || tags.length === 0 || !this.#cacheEnabled || !this.#cache || !this.#cache.has(cacheKey))
+        {
+            return;
+        }
+
+        const keyTags = this.#cacheKeyTags.get(cacheKey) || new Set();
+
+        for (const tag of tags)
+        {
+            if (!this.#cacheTags.has(tag))
+            {
+                this.#cacheTags.set(tag, new Set());
+            }
+
+            this.#cacheTags.get(tag).add(cacheKey);
+            keyTags.add(tag);
+        }
+
+        this.#cacheKeyTags.set(cacheKey, keyTags);
+    }
+
+    /**
+     * @func _cacheUntag
+     * @memberof mcode.cache
+     * @desc Removes a node-cache key from the tag index.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
      */
-    async fileRead(filePath, fileEncoding = 'utf8')
+    _cacheUntag(cacheKey)
     {
-        try
+        const keyTags = this.#cacheKeyTags.get(cacheKey);
+
+        if (!keyTags)
         {
-            // make the auto-generated cache key for the file
-            const cacheKey = this.fileMakeKey(filePath);
+            return;
+        }
 
-            return this._cacheGet(cacheKey, async () =>
+        for (const tag of keyTags)
+        {
+            const taggedKeys = this.#cacheTags.get(tag);
+
+            if (taggedKeys)
             {
-                try
-                {
-                    // Check if the file exists and is accessible
-                    await fs.access(filePath, fs.constants.R_OK);
-                }
-                catch (exp)
+                taggedKeys.delete(cacheKey);
+
+                if (taggedKeys.size === 0)
                 {
-                    mcode.exp(`File is NOT READ accessible: ${filePath}`, MODULE_NAME, exp);
-                    throw new Error(`File READ access error: ${filePath}`);
+                    this.#cacheTags.delete(tag);
                 }
+            }
+        }
 
-                return await fs.readFile(filePath, fileEncoding);
-            });
+        this.#cacheKeyTags.delete(cacheKey);
+    }
+
+    /**
+     * @func _redisTag
+     * @memberof mcode.cache
+     * @desc Adds tags to a Redis key. Each tag is a Redis set of keys, 'mcode-tag:<namespace>:<tag>', which expires
+     * no sooner than its longest lived key, and each key has a set of its tags, 'mcode-tagged:<namespace>:<key>',
+     * which expires with it. A key that expires or is dropped is no longer in its tags, see _redisTagged().
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     * @param {Array} [tags] the tags, nothing is done without any.
+     * @param {number} ttl the Time-To-Live of the key, in seconds (0 = never expire).
+     */
+    async _redisTag(cacheKey, tags, ttl)
+    {
+        if (!tags || tags.length === 0 || !this.#redisEnabled)
+        {
+            return;
+        }
+
+        const namespace = this._namespaceOf(cacheKey);
+
+        try
+        {
+            // every key the script touches is declared, KEYS[1] is the key's set of tags, then one tag set per tag
+            await this._redisCommand(cacheKey, (redis) => redis.eval(
+                "local ttl = tonumber(ARGV[2]) " +
+                "for i = 2, #KEYS do " +
+                "  local existed = redis.call('exists', KEYS[i]) " +
+                "  redis.call('sadd', KEYS[i], ARGV[1]) " +
+                "  redis.call('sadd', KEYS[1], ARGV[i + 1]) " +
+                "  if ttl == 0 then redis.call('persist', KEYS[i]) " +
+                "  else " +
+                "    local left = redis.call('pttl', KEYS[i]) " +
+                "    if existed == 0 or (left >= 0 and left < ttl) then redis.call('pexpire', KEYS[i], ttl) end " +
+                "  end " +
+                "end " +
+                "if ttl == 0 then redis.call('persist', KEYS[1]) else redis.call('pexpire', KEYS[1], ttl) end " +
+                "return 1",
+                {
+                    keys: [`${cache.TAGGED_PREFIX}${cacheKey}`, ...tags.map(tag => `${cache.TAG_PREFIX}${namespace}:${tag}`)],
+                    arguments: [cacheKey, `${Math.round(ttl * 1000)}`, ...tags]
+                }));
         }
         catch (exp)
         {
-            mcode.exp(`Exception reading from disk for cache, file: ${filePath}`, MODULE_NAME, exp);
-            return null;
+            this._redisException(`Exception tagging ${cacheKey} in REDIS cache.`, exp);
         }
     }
 
     /**
-     * @func fileWrite
+     * @func _redisTagged
      * @memberof mcode.cache
-     * @desc Writes 'fileData' to 'filePath' and caches it in the cache.
-     * @param {string} filePath a standard file system reference to the file to be read.
-     * @param {string} fileData the data to be written to the file.
-     * @param {string} fileEncoding the encoding of the file to be written (default is 'utf8').
-     * @returns {Promise} the file data written to disk.
+     * @desc Gets the keys of a Redis namespace with a tag, and removes them from the tag's set. Keys that have expired
+     * or been dropped since they were tagged (their own set of tags is gone) are left out. Only the keys that were read
+     * are removed, a key tagged meanwhile stays in the set for the next cacheDropTag().
+     * @param {string} namespace the Redis namespace.
+     * @param {string} tag the tag.
+     * @returns {Promise<Array>} the cache keys with the tag.
      */
-    async fileWrite(filePath, fileData, fileEncoding = 'utf8')
+    async _redisTagged(namespace, tag)
     {
-        try
+        const tagKey = `${cache.TAG_PREFIX}${namespace}:${tag}`;
+        const members = await this._redisCommand(namespace, (redis) => redis.sMembers(tagKey));
+
+        if (members.length === 0)
         {
-            // make the auto-generated cache key for the file
-            const cacheKey = this.fileMakeKey(filePath);
+            return [];
+        }
+
+        // one reply per key, is it still tagged, then the SREM
+        const tagged = await this._redisCommand(namespace, (redis) =>
+        {
+            const multi = redis.multi();
+
+            members.forEach(cacheKey => multi.sIsMember(`${cache.TAGGED_PREFIX}${cacheKey}`, tag));
+            multi.sRem(tagKey, members);
+
+            return multi.exec();
+        });
+
+        return members.filter((cacheKey, index) => tagged[index]);
+    }
+
+    /**
+     * @func _usage
+     * @memberof mcode.cache
+     * @desc Gets the node-cache usage of a namespace, creating it on first use. Its keys are kept in the order
+     * they were last used, least recent first.
+     * @param {string} namespace the namespace.
+     * @returns {object} {entries: Map(cacheKey => {bytes, hits}), bytes, evictions}.
+     */
+    _usage(namespace)
+    {
+        if (!this.#namespaceUsage[namespace])
+        {
+            this.#namespaceUsage[namespace] = {entries: new Map(), bytes: 0, evictions: 0};
+        }
+
+        return this.#namespaceUsage[namespace];
+    }
+
+    /**
+     * @func _usageSet
+     * @memberof mcode.cache
+     * @desc Measures a node-cache key that was set, and evicts keys if its namespace is now past its limits.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     * @param {any} value the value set.
+     */
+    _usageSet(cacheKey, value)
+    {
+        const namespace = this._namespaceOf(cacheKey);
+        const config = this.#namespaceConfigs[namespace];
+        const usage = this._usage(namespace);
+        const previous = usage.entries.get(cacheKey);
+
+        // measuring a value is not free, only a 'maxBytes' limit needs it on every set, cacheUsage() measures the others
+        const bytes = (config && config.maxBytes) ? cache._sizeOf(cacheKey) + cache._sizeOf(value) : null;
+
+        if (previous)
+        {
+            usage.bytes -= previous.bytes || 0;
+            usage.entries.delete(cacheKey);
+        }
+
+        usage.entries.set(cacheKey, {bytes: bytes, hits: previous ? previous.hits : 0, setAt: Date.now()});
+        usage.bytes += bytes || 0;
+
+        this._usageEvict(namespace, cacheKey);
+    }
+
+    /**
+     * @func _usageFits
+     * @memberof mcode.cache
+     * @desc Checks a value before it is set in node-cache, a value larger than the 'maxBytes' of its namespace on its own
+     * is rejected, and the key's previous value dropped, instead of being set and evicted at once.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     * @param {any} value the value to be set.
+     * @returns {boolean} true if the value can be set.
+     */
+    _usageFits(cacheKey, value)
+    {
+        const namespace = this._namespaceOf(cacheKey);
+        const config = this.#namespaceConfigs[namespace];
+
+        if (!config || !config.maxBytes || cache._sizeOf(cacheKey) + cache._sizeOf(value) <= config.maxBytes)
+        {
+            return true;
+        }
+
+        mcode.warn(`Key: ${cacheKey} is larger than the maxBytes: ${config.maxBytes} of namespace: ${namespace}, it is not cached.`, MODULE_NAME);
+
+        // NOTE: synchronous, as the set it replaces, a cacheSet() that is not awaited is still in place for the next cacheGet()
+        if (this.#cache.del(cacheKey) > 0)
+        {
+            this._statsCount(cacheKey, 'node', 'drops');
+            this._cacheEmit('drop', cacheKey, 'node');
+        }
+
+        return false;
+    }
+
+    /**
+     * @func _usageBytes
+     * @memberof mcode.cache
+     * @desc Measures the node-cache keys of a namespace without a 'maxBytes' limit, whose sizes are not kept as they are set.
+     * @param {string} namespace the namespace.
+     * @returns {number} the approximate bytes of its keys and values.
+     */
+    _usageBytes(namespace)
+    {
+        let bytes = 0;
+
+        for (const cacheKey of this._usage(namespace).entries.keys())
+        {
+            bytes += cache._sizeOf(cacheKey) + cache._sizeOf(this.#cache.get(cacheKey));
+        }
+
+        return bytes;
+    }
+
+    /**
+     * @func _usageTouch
+     * @memberof mcode.cache
+     * @desc Records a hit on a node-cache key, for the 'lru' and 'lfu' policies.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     */
+    _usageTouch(cacheKey)
+    {
+        const usage = this._usage(this._namespaceOf(cacheKey));
+        const entry = usage.entries.get(cacheKey);
+
+        if (entry)
+        {
+            // move it to the most recently used end
+            entry.hits++;
+            usage.entries.delete(cacheKey);
+            usage.entries.set(cacheKey, entry);
+        }
+    }
+
+    /**
+     * @func _usageDrop
+     * @memberof mcode.cache
+     * @desc Forgets a node-cache key that was dropped, expired or evicted.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     */
+    _usageDrop(cacheKey)
+    {
+        const usage = this._usage(this._namespaceOf(cacheKey));
+        const entry = usage.entries.get(cacheKey);
+
+        if (entry)
+        {
+            usage.bytes -= entry.bytes || 0;
+            usage.entries.delete(cacheKey);
+        }
+    }
+
+    /**
+     * @func _usageEvict
+     * @memberof mcode.cache
+     * @desc Evicts node-cache keys of a namespace until it is within its 'maxKeys' and 'maxBytes', by its 'policy'.
+     * The key just set is kept, a value larger than 'maxBytes' on its own was already rejected by _usageFits().
+     * @param {string} namespace the namespace.
+     * @param {string} keep the cache key just set.
+     */
+    _usageEvict(namespace, keep)
+    {
+        const config = this.#namespaceConfigs[namespace];
+
+        if (!config || (!config.maxKeys && !config.maxBytes))
+        {
+            return;
+        }
+
+        const usage = this._usage(namespace);
+        const over = () => (config.maxKeys > 0 && usage.entries.size > config.maxKeys) ||
+            (config.maxBytes > 0 && usage.bytes > config.maxBytes);
+
+        while (over() && usage.entries.size > 0)
+        {
+            const victim = this._usageVictim(usage, config.policy, keep) ?? keep;
+
+            this.#cache.del(victim);
+            this._usageDrop(victim);
+
+            usage.evictions++;
+            this._statsCount(victim, 'node', 'evictions');
+            this._cacheEmit('evicted', victim, 'node');
+        }
+    }
+
+    /**
+     * @func _usageVictim
+     * @memberof mcode.cache
+     * @desc Picks the key to evict, the least recently used ('lru'), or the least frequently used ('lfu')
+     * with the least recently used of those.
+     * @param {object} usage the namespace usage.
+     * @param {string} policy the eviction policy, 'lru' or 'lfu'.
+     * @param {string} keep the cache key that is not to be picked.
+     * @returns {string} the cache key to evict, undefined if there is no other key.
+     */
+    _usageVictim(usage, policy, keep)
+    {
+        let victim;
+        let fewest = Infinity;
+
+        for (const [cacheKey, entry] of usage.entries)
+        {
+            if (cacheKey === keep)
+            {
+                continue;
+            }
+
+            if (policy !== 'lfu')
+            {
+                return cacheKey;
+            }
+
+            if (entry.hits < fewest)
+            {
+                victim = cacheKey;
+                fewest = entry.hits;
+            }
+        }
+
+        return victim;
+    }
+
+    /**
+     * @func _cacheEmit
+     * @memberof mcode.cache
+     * @desc Emits a cache event for a key to the handlers added with on().
+     * @param {string} event the event name.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     * @param {string} backend the cache, 'node' or 'redis'.
+     */
+    _cacheEmit(event, cacheKey, backend)
+    {
+        this._eventEmit(event, {namespace: this._namespaceOf(cacheKey), cacheKey: cacheKey, backend: backend});
+    }
 
-            // the cached value is no longer valid, so drop it
-            this.cacheDrop(cacheKey);
+    /**
+     * @func _redisEmit
+     * @memberof mcode.cache
+     * @desc Emits a Redis client event, naming every namespace that shares the client.
+     * @param {string} event the event name.
+     * @param {string} connectionId the connection id of the Redis client.
+     * @param {object} [details] more of the payload, like the {error}.
+     */
+    _redisEmit(event, connectionId, details = {})
+    {
+        if (this.#cacheEvents.listenerCount(event) === 0)
+        {
+            return;
+        }
 
-            // cache the new value
-            this._cacheSet(cacheKey, fileData);
+        const namespaces = Object.keys(this.#namespaceConfigs)
+            .filter((name) => this.#namespaceConfigs[name].connection === connectionId);
+        const connection = this.#redisClients.get(connectionId);
+
+        this._eventEmit(event, {
+            namespace: null,
+            namespaces: namespaces,
+            cacheKey: null,
+            backend: 'redis',
+            url: connection ? connection.url : null,
+            ...details
+        });
+    }
 
+    /**
+     * @func _eventEmit
+     * @memberof mcode.cache
+     * @desc Calls the handlers of an event, a handler that throws is logged and does not reach the cache operation.
+     * @param {string} event the event name.
+     * @param {object} payload the event payload.
+     */
+    _eventEmit(event, payload)
+    {
+        for (const handler of this.#cacheEvents.listeners(event))
+        {
             try
             {
-                // Check if the file exists and is accessible
-                await fs.access(filePath, fs.constants.W_OK);
+                handler(payload);
             }
             catch (exp)
             {
-                mcode.exp(`File is NOT WRITE accessible: ${filePath}`, MODULE_NAME, exp);
-                throw new Error(`File WRITE access error: ${filePath}`);
+                mcode.exp(`Exception in a '${event}' cache event handler.`, MODULE_NAME, exp);
+            }
+        }
+    }
+
+    /**
+     * @func _statsCounters
+     * @memberof mcode.cache
+     * @desc Gets the statistics counters of a namespace and cache, creating them on first use.
+     * @param {string} namespaceOrKey the namespace name, or a cache key '<namespace>:<key>'.
+     * @param {string} backend the cache, 'node' or 'redis'.
+     * @returns {object} the counters.
+     */
+    _statsCounters(namespaceOrKey, backend)
+    {
+        const namespace = this._namespaceOf(namespaceOrKey);
+        const caches = this.#cacheStats[namespace] || (this.#cacheStats[namespace] = {});
+
+        if (!caches[backend])
+        {
+            caches[backend] = {
+                hits: 0,
+                misses: 0,
+                loads: 0,
+                loadErrors: 0,
+                sets: 0,
+                drops: 0,
+                evictions: 0,
+                latency: {counts: cache.STATS_BUCKETS.map(() => 0), sum: 0, count: 0}
+            };
+        }
+
+        return caches[backend];
+    }
+
+    /**
+     * @func _statsCount
+     * @memberof mcode.cache
+     * @desc Adds to a statistics counter of a namespace and cache.
+     * @param {string} namespaceOrKey the namespace name, or a cache key '<namespace>:<key>'.
+     * @param {string} backend the cache, 'node' or 'redis'.
+     * @param {string} counter the counter, 'hits', 'misses', 'sets', 'drops' or 'evictions'.
+     * @param {number} [count] the amount to add, default is 1.
+     */
+    _statsCount(namespaceOrKey, backend, counter, count = 1)
+    {
+        this._statsCounters(namespaceOrKey, backend)[counter] += count;
+    }
+
+    /**
+     * @func _statsLoad
+     * @memberof mcode.cache
+     * @desc Calls the callback for a missing key, counting the call, any error, and its latency.
+     * @param {string} cacheKey the key being loaded.
+     * @param {string} backend the cache being filled, 'node' or 'redis'.
+     * @param {function} cb the callback function to get fresh value.
+     * @returns {Promise} the fresh value.
+     */
+    async _statsLoad(cacheKey, backend, cb)
+    {
+        const counters = this._statsCounters(cacheKey, backend);
+        const start = performance.now();
+
+        counters.loads++;
+
+        try
+        {
+            return await cb();
+        }
+        catch (exp)
+        {
+            counters.loadErrors++;
+            throw exp;
+        }
+        finally
+        {
+            const seconds = (performance.now() - start) / 1000;
+            const bucket = cache.STATS_BUCKETS.findIndex((le) => seconds <= le);
+
+            if (bucket >= 0)
+            {
+                counters.latency.counts[bucket]++;
+            }
+            counters.latency.sum += seconds;
+            counters.latency.count++;
+        }
+    }
+
+    /**
+     * @func _busPublish
+     * @memberof mcode.cache
+     * @desc Publishes a node-cache change to the other App instances on the invalidation bus, if it is on.
+     * Publishing never waits or throws, while the publisher is not ready the message is skipped, not queued.
+     * @param {object} event the change, {op: 'set', cacheKey, value, ttl, tags}, {op: 'drop', cacheKey} or {op: 'dropAll', namespace, pattern}.
+     */
+    _busPublish(event)
+    {
+        const bus = this.#cacheBus;
+
+        // while the bus is down its messages would pile up in the client's offline queue, and they are
+        // not needed, every App instance drops its node-cache keys when its bus reconnects
+        if (!bus || !bus.publisher.isReady)
+        {
+            return;
+        }
+
+        try
+        {
+            const message = {...event, origin: this.#cacheBusId};
+
+            // values travel as text, with the codec of their namespace
+            if ('value' in event)
+            {
+                message.value = this._namespaceCodec(event.cacheKey).encode(event.value);
+            }
+
+            bus.publisher.publish(bus.channel, JSON.stringify(message)).catch((exp) =>
+            {
+                mcode.exp(`Exception publishing '${event.op}' on REDIS bus channel: ${bus.channel}`, MODULE_NAME, exp);
+            });
+        }
+        catch (exp)
+        {
+            mcode.exp(`Exception publishing '${event.op}' on REDIS bus channel: ${bus.channel}`, MODULE_NAME, exp);
+        }
+    }
+
+    /**
+     * @func _busReceive
+     * @memberof mcode.cache
+     * @desc Applies a change published by another App instance to this instance's node-cache, ignoring its own messages.
+     * A 'set' is applied to 'node' namespaces, 'hybrid' namespaces drop their L1 copy and re-read it from Redis.
+     * @param {string} message the JSON message from the invalidation bus.
+     */
+    async _busReceive(message)
+    {
+        try
+        {
+            const event = JSON.parse(message);
+
+            if (event.origin === this.#cacheBusId || !this.#cache)
+            {
+                return;
+            }
+
+            if (event.op === 'dropAll')
+            {
+                const cacheType = this.#cacheNamespaces[event.namespace];
+
+                if (cacheType === 'node' || cacheType === 'hybrid')
+                {
+                    const nodeKeys = await this._cacheKeys(`${event.namespace}:${event.pattern}`);
+                    await Promise.all(nodeKeys.map(key => this._cacheDrop(key)));
+                }
+                return;
             }
 
-            // write the file to disk
-            return await fs.writeFile(filePath, fileData, {encoding: fileEncoding});
+            const cacheType = this._namespaceType(event.cacheKey);
+
+            if (event.op === 'set' && cacheType === 'node')
+            {
+                await this._cacheSet(event.cacheKey, this._namespaceCodec(event.cacheKey).decode(event.value), event.ttl);
+                this._cacheTag(event.cacheKey, event.tags);
+            }
+            else if (cacheType === 'node' || cacheType === 'hybrid')
+            {
+                await this._cacheDrop(event.cacheKey);
+            }
         }
         catch (exp)
         {
-            mcode.exp(`Exception writing to disk and cache, file: ${filePath}`, MODULE_NAME, exp);
-            return null;
+            mcode.exp(`Exception applying a message from the REDIS bus.`, MODULE_NAME, exp);
         }
     }
 
     /**
-     * @func fileDrop
+     * @func _busFlush
      * @memberof mcode.cache
-     * @desc Drops a file from the cache based on the 'filePath'.
-     * @param {string} filePath a standard file system reference to the file to be read.
-     * @returns {number} the number of keys deleted from the cache.
-     * @api public
-     * @example
-     *     const filePath = './data.json';
-     *     const result = await mcode.fileDrop(path.join(__dirname, filePath));
+     * @desc Drops the node-cache keys of every 'node' and 'hybrid' namespace, used when the invalidation bus
+     * reconnects after an outage during which changes from other App instances may have been missed.
      */
-    async fileDrop(filePath)
+    async _busFlush()
     {
-        const cacheKey = this.fileMakeKey(filePath);
+        let count = 0;
+
+        for (const thisNamespace in this.#cacheNamespaces)
+        {
+            const tiers = this._namespaceTiers(this.#cacheNamespaces[thisNamespace], 'node');
+
+            if (tiers.node && this.#cache)
+            {
+                const nodeKeys = await this._cacheKeys(`${thisNamespace}:*`);
+                await Promise.all(nodeKeys.map(key => this._cacheDrop(key)));
+                count += nodeKeys.length;
+            }
+        }
 
-        return await this._cacheDrop(cacheKey);
+        mcode.warn(`REDIS bus reconnected, dropped ${count} node-cache key(s) that may have missed changes.`, MODULE_NAME);
     }
 
     /**
-     * @func fileMakeKey
+     * @func _namespacePeek
      * @memberof mcode.cache
-     * @desc Generates a unique key for the file in the cache based on the 'filePath'.
-     * @param {string} filePath a standard file system reference to the file to be read.
-     * @returns {string} the key for the file in the cache.
+     * @desc Reads a key from the cache of its namespace as it is, without a callback, statistics or events.
+     * A 'hybrid' key is read from Redis (L2), the copy every App instance shares.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     * @returns {Promise<object>} {found, value, ttl, tags}, the TTL in seconds, -1 if the key never expires.
      */
-    fileMakeKey(filePath)
+    async _namespacePeek(cacheKey)
     {
-        // remove 'rootKey' from the 'filePath'
-        const keyPath = filePath.replace(this.fileGetRoot(), '');
-        const key = this.cacheMakeKey(keyPath);
+        if (this._namespaceType(cacheKey) === 'node')
+        {
+            const value = this.#cache.get(cacheKey);
+            const found = (value !== undefined) || this.#cache.has(cacheKey);
+            const keyTags = this.#cacheKeyTags.get(cacheKey);
 
-        return key;
+            return {found: found, value: value, ttl: found ? await this._cacheGetTTL(cacheKey) : -2, tags: keyTags ? [...keyTags] : []};
+        }
+
+        const text = await this._redisCommand(cacheKey, (redis) => redis.get(cacheKey));
+
+        if (text === null)
+        {
+            return {found: false, value: undefined, ttl: -2, tags: []};
+        }
+
+        return {
+            found: true,
+            value: this._namespaceCodec(cacheKey).decode(text),
+            ttl: await this._redisGetTTL(cacheKey),
+            tags: await this._redisCommand(cacheKey, (redis) => redis.sMembers(`${cache.TAGGED_PREFIX}${cacheKey}`))
+        };
     }
 
     /**
-     * @func fileGetRoot
+     * @func _cacheInspect
      * @memberof mcode.cache
-     * @desc Gets the root directory for cache Keys based on the server's execution path.
-     * @returns {string} the root directory for the server.
-     * @api public
-     * @example
-     *    const rootDir = mcode.fileGetRoot();
+     * @desc Reads node-cache keys as they are, for cacheInspect(), without statistics, events or LRU/LFU hits.
+     * @param {Array} cacheKeys the cache keys, '<namespace>:<key>'.
+     * @returns {Array} [{cacheKey, backend, value, ttl, size, cachedAt, tags}] for the keys that still exist.
      */
-    fileGetRoot()
+    _cacheInspect(cacheKeys)
     {
-        // get the execution root directory
-        const mainDir = path.dirname(require.main.filename);
+        const found = [];
 
-        // Determine the common base path
-        const rootDir = path.resolve(path.join(mainDir, '..'));
+        for (const cacheKey of cacheKeys)
+        {
+            const expires = this.#cache.getTtl(cacheKey);
 
-        return rootDir;
-    }
+            // node-cache returns the expiration timestamp in ms, 0 for never, undefined if missing
+            if (expires === undefined)
+            {
+                continue;
+            }
 
-    // #endregion
+            const value = this.#cache.get(cacheKey);
+            const usage = this._usage(this._namespaceOf(cacheKey)).entries.get(cacheKey);
+
+            found.push({
+                cacheKey: cacheKey,
+                backend: 'node',
+                value: value,
+                ttl: (expires === 0) ? -1 : Math.max(0, (expires - Date.now()) / 1000),
+                size: (usage && usage.bytes !== null) ? usage.bytes : cache._sizeOf(cacheKey) + cache._sizeOf(value),
+                cachedAt: (usage && usage.setAt) ? new Date(usage.setAt) : null,
+                tags: [...(this.#cacheKeyTags.get(cacheKey) || [])]
+            });
+        }
 
-    // #region  M E T H O D S - G E N E R A T O R S
+        return found;
+    }
 
     /**
-     * getValue() - returns all values in 'enums'. TEMPLATE marked private '_' for now.
-     *
+     * @func _redisInspect
+     * @memberof mcode.cache
+     * @desc Reads Redis keys of one namespace as they are, for cacheInspect() and cacheSave(), with a single MULTI.
+     * NOTE: Redis does not keep the time a key was set, so 'cachedAt' is null.
+     * @param {Array} cacheKeys the cache keys, '<namespace>:<key>'.
+     * @returns {Promise<Array>} [{cacheKey, backend, value, ttl, size, cachedAt, tags}] for the keys that still exist.
      */
-    *_getValue()
+    async _redisInspect(cacheKeys)
     {
-        for (const enumValue of this.enums)
+        const found = [];
+
+        if (cacheKeys.length === 0 || !this.#redisEnabled)
         {
-            yield value;
+            return found;
         }
-    }
 
-    // #endregion
+        // three replies per key, its value, its PTTL and its tags
+        const replies = await this._redisCommand(cacheKeys[0], (redis) =>
+        {
+            const multi = redis.multi();
 
-    // #region  M E T H O D S – P R I V A T E
+            for (const cacheKey of cacheKeys)
+            {
+                multi.get(cacheKey).pTTL(cacheKey).sMembers(`${cache.TAGGED_PREFIX}${cacheKey}`);
+            }
+
+            return multi.exec();
+        });
+        const codec = this._namespaceCodec(cacheKeys[0]);
+
+        cacheKeys.forEach((cacheKey, index) =>
+        {
+            const [text, expires, tags] = replies.slice(index * 3, index * 3 + 3);
+
+            if (text === null)
+            {
+                return;
+            }
+
+            found.push({
+                cacheKey: cacheKey,
+                backend: 'redis',
+                value: codec.decode(text),
+                ttl: (expires < 0) ? -1 : expires / 1000,
+                size: Buffer.byteLength(text),
+                cachedAt: null,
+                tags: tags
+            });
+        });
+
+        return found;
+    }
 
     /**
-     * @function _cacheInit
-     * @api private
+     * @func _inspectReport
      * @memberof mcode.cache
-     * @desc Initializes the internals of mcode-cache, including the instantiation of the cache client.
-     * @returns {status} the cache client connection.
+     * @desc Collects the keys described by _inspectScan() for cacheInspect().
+     * @param {AsyncIterator} rows the described keys.
+     * @returns {Promise<Array>} the described keys.
      */
-    _cacheInit()
+    async _inspectReport(rows)
     {
-        // if a client already exists, close it and start a new one
-        if (this.#cache)
-        {
-            this.#cache = null;
-        }
+        const report = [];
 
-        if (!this.#cache)
+        for await (const row of rows)
         {
-            this.#cache = new NodeCache({stdTTL: cache.CACHE_TTL});
-            mcode.done(`mcode-cache initialized with TTL: ${cache.CACHE_TTL} 📣`, MODULE_NAME);
+            report.push(row);
         }
+
+        return report;
     }
 
     /**
-     * @function _redisInit
-     * @api private
+     * @func _saveIncludes
      * @memberof mcode.cache
-     * @desc Initializes the internals of mcode-cache, including the instantiation of the Redis client.
-     * @returns {status} the Redis client connection.
+     * @desc Checks if cacheSave() and cacheLoad() include a namespace, by its cache, a 'hybrid' namespace is saved
+     * from Redis (L2), its node-cache (L1) only holds copies.
+     * @param {string} namespace the namespace.
+     * @param {string} cacheFilter the cache filter, 'node', 'redis' or '*'.
+     * @returns {boolean} true if the namespace exists here and is included.
      */
-    _redisInit()
+    _saveIncludes(namespace, cacheFilter)
     {
-        if (this.#redisConnected)
+        const cacheType = this.#cacheNamespaces[namespace];
+
+        if (!cacheType)
         {
-            mcode.warn(`Redis client is already connected to: ${this.#redisURL}`, MODULE_NAME);
-            return;
+            return false;
         }
 
-        if (this.#redis)
+        const tiers = this._namespaceTiers(cacheType, cacheFilter);
+
+        return (cacheType === 'node') ? tiers.node : tiers.redis;
+    }
+
+    /**
+     * @func _adminAction
+     * @memberof mcode.cache
+     * @desc Runs a cacheAdmin() action.
+     * @param {string} action the action of the route, see cache.ADMIN_ROUTES.
+     * @param {URLSearchParams} params the query of the request, {namespace, key, pattern, limit}.
+     * @returns {Promise<Array>} [status, body], the HTTP status and the JSON body of the answer.
+     */
+    async _adminAction(action, params)
+    {
+        const namespace = params.get('namespace') || undefined;
+        const pattern = params.get('pattern') || undefined;
+        const key = params.get('key') || undefined;
+
+        if (namespace && namespace !== '*' && !this.#cacheNamespaces[namespace])
         {
-            mcode.info('Closing existing Redis client before reinitializing.', MODULE_NAME);
-            this.#redis.quit();
-            this.#redis = null;
+            return [400, {error: `Namespace: ${namespace} does not exist.`}];
         }
 
-        if (!this.#redis)
+        switch (action)
         {
-            // Set-up Redis client configuration based on security
-            const clientOptions = this.#redisUser && this.#redisPassword
-                ? {url: this.#redisURL, username: this.#redisUser, password: this.#redisPassword}
-                : {url: this.#redisURL};
+            case 'namespaces':
+            {
+                const ready = this.cacheReadyNamespaces;
+
+                return [200, Object.entries(this.#cacheNamespaces).map(([name, type]) => ({namespace: name, type: type, ready: ready[name]}))];
+            }
 
-            // Create Redis Client
-            this.#redis = Redis.createClient(clientOptions);
+            case 'keys':
+            {
+                const limit = Number.parseInt(params.get('limit'), 10);
+
+                return [200, await this.cacheInspect({
+                    namespace: namespace || '*',
+                    pattern: pattern || '*',
+                    limit: (limit > 0) ? limit : cache.INSPECT_LIMIT,
+                    preview: cache.ADMIN_PREVIEW
+                })];
+            }
 
-            this.#redis.on('connect', () =>
+            case 'value':
+            case 'drop':
             {
-                mcode.done(`REDIS client connected on: ${this.#redisURL} 📣`, MODULE_NAME);
+                if (!namespace || namespace === '*' || !key)
+                {
+                    return [400, {error: `A 'namespace' and a 'key' are required.`}];
+                }
 
-                this.#redisConnected = true;
-            });
+                const cacheKey = `${namespace}:${key}`;
+
+                if (action === 'drop')
+                {
+                    return [200, {cacheKey: cacheKey, dropped: await this._namespaceDrop(cacheKey)}];
+                }
+
+                const entry = await this._namespacePeek(cacheKey);
+
+                if (!entry.found)
+                {
+                    return [404, {error: `Not found: ${cacheKey}`}];
+                }
+
+                return [200, {key: key, cacheKey: cacheKey, namespace: namespace, value: entry.value, ttl: entry.ttl, tags: entry.tags}];
+            }
 
-            this.#redis.on('error', (err) =>
+            case 'dropAll':
             {
-                mcode.error(`REDIS client error on: ${this.#redisURL}`, MODULE_NAME, err);
-            });
+                // never purge by default, '*' has to be asked for
+                if (!namespace || !pattern)
+                {
+                    return [400, {error: `A 'namespace' and a 'pattern' are required, '*' for all.`}];
+                }
+
+                return [200, {namespace: namespace, pattern: pattern, dropped: await this.cacheDropAll({namespace: namespace, pattern: pattern})}];
+            }
 
-            this.#redis.connect();
+            case 'cacheOn':
+                await this.cacheOn();
+                break;
+
+            case 'cacheOff':
+                await this.cacheOff();
+                break;
+
+            case 'redisOn':
+                await this.redisOn();
+                break;
+
+            case 'redisOff':
+                await this.redisOff();
+                break;
         }
+
+        // 'status', and the state after a switch
+        return [200, {
+            cacheReady: this.cacheReady,
+            cacheEnabled: this.#cacheEnabled,
+            redisEnabled: this.#redisEnabled,
+            namespaces: this.cacheReadyNamespaces
+        }];
     }
 
     /**
-     * @function _cacheGet
+     * @func _adminSend
      * @memberof mcode.cache
-     * @desc Caches the results of a callback function in cache under the current namespace and returns the key's value.
-     * @param {string} cacheKey the key to the cache.
-     * @param {function} cb the callback function to get fresh value.
-     * @returns {Promise} the cached value.
+     * @desc Answers a cacheAdmin() request, as JSON, or as an HTMX fragment.
+     * @param {object} res the Node (or Express) response.
+     * @param {number} status the HTTP status.
+     * @param {object} body the JSON body, {error} for a status other than 200.
+     * @param {object} [view] the {action, params, readOnly, root} of an HTMX request, null for JSON.
      */
-    async _cacheGet(cacheKey, cb)
+    _adminSend(res, status, body, view)
     {
-        try
+        const text = view ? this._adminHtml(status, body, view) : JSON.stringify(body);
+
+        res.statusCode = status;
+        res.setHeader('Content-Type', view ? 'text/html; charset=utf-8' : 'application/json; charset=utf-8');
+        res.end(text);
+    }
+
+    /**
+     * @func _adminHtml
+     * @memberof mcode.cache
+     * @desc Builds the HTMX fragment of a cacheAdmin() answer. The 'status' fragment is the whole tool, the cache state,
+     * the namespaces, and places for the keys ('#cache-admin-keys') and a value ('#cache-admin-value').
+     * @param {number} status the HTTP status.
+     * @param {object} body the JSON body of the answer.
+     * @param {object} view the {action, params, readOnly, root} of the request.
+     * @returns {string} the HTML fragment.
+     */
+    _adminHtml(status, body, view)
+    {
+        const esc = cache._escapeHtml;
+        const link = (route, query) => esc(`${view.root}${route}?${new URLSearchParams(query)}`);
+
+        if (status !== 200)
+        {
+            return `<div class='error'>${esc(body.error)}</div>`;
+        }
+
+        switch (view.action)
         {
-            // if the cache is not enabled, just get the data from the callback
-            if (!this.#cacheEnabled)
+            case 'namespaces':
+            {
+                const rows = body.map(item =>
+                    `<tr><td><a hx-get='${link('/keys', {namespace: item.namespace})}' hx-target='#cache-admin-keys' hx-swap='outerHTML'>` +
+                    `${esc(item.namespace)}</a></td><td>${esc(item.type)}</td><td>${item.ready ? 'ready' : 'not ready'}</td></tr>`);
+
+                return `<table class='table'><tr><th>Namespace</th><th>Type</th><th>State</th></tr>${rows.join('')}</table>`;
+            }
+
+            case 'keys':
             {
-                return cb();
+                const namespace = view.params.get('namespace') || '*';
+                const pattern = view.params.get('pattern') || '*';
+                const rows = body.map(item =>
+                {
+                    const query = {namespace: item.namespace, key: item.key};
+                    const drop = view.readOnly ? '' :
+                        `<button class='button--exe' hx-delete='${link('/key', query)}' hx-confirm='Drop ${esc(item.cacheKey)}?' ` +
+                        `hx-target='closest tr' hx-swap='outerHTML'>Drop</button>`;
+
+                    return `<tr><td><a hx-get='${link('/key', query)}' hx-target='#cache-admin-value' hx-swap='outerHTML'>` +
+                        `${esc(item.cacheKey)}</a></td><td>${esc(item.backend)}</td><td>${(item.ttl < 0) ? 'never' : Math.round(item.ttl)}</td>` +
+                        `<td>${item.size}</td><td>${esc(item.type)}</td><td>${esc(item.preview)}</td><td>${drop}</td></tr>`;
+                });
+                const dropAll = view.readOnly ? '' :
+                    `<button class='button--exe' hx-delete='${link('/keys', {namespace: namespace, pattern: pattern})}' ` +
+                    `hx-confirm='Drop every key of ${esc(namespace)} that matches ${esc(pattern)}?' hx-target='#cache-admin-keys' ` +
+                    `hx-swap='outerHTML'>Drop All</button>`;
+
+                return `<div id='cache-admin-keys' class='card'><div class='title'>${esc(namespace)}:${esc(pattern)} ${dropAll}</div>` +
+                    `<table class='table'><tr><th>Key</th><th>Cache</th><th>TTL (s)</th><th>Size</th><th>Type</th><th>Value</th><th></th></tr>` +
+                    `${rows.join('')}</table></div>`;
             }
 
-            let value = this.#cache.get(cacheKey);
+            case 'value':
+                return `<div id='cache-admin-value' class='card'><div class='title'>${esc(body.cacheKey)}</div>` +
+                    `<div>TTL: ${(body.ttl < 0) ? 'never' : `${Math.round(body.ttl)}s`}, Tags: ${esc(body.tags.join(', ') || 'none')}</div>` +
+                    `<pre class='output'>${esc(util.inspect(body.value, {depth: null}))}</pre></div>`;
+
+            case 'drop':
+                // the key's row is replaced by nothing
+                return '';
+
+            case 'dropAll':
+                return `<div id='cache-admin-keys' class='card'><div class='output'>` +
+                    `Dropped ${body.dropped} key(s) of ${esc(body.namespace)} that match ${esc(body.pattern)}.</div></div>`;
 
-            if (!value)
+            default:
             {
-                // if the key does not exist in cache, use the callback to get the actual data...
-                value = await cb();
+                // 'status', and the state after a switch
+                const toggle = (name, enabled, route) => `<div>${name}: ${enabled ? 'ON' : 'OFF'} ` + (view.readOnly ? '' :
+                    `<button class='button--exe' hx-post='${esc(`${view.root}${route}/${enabled ? 'off' : 'on'}`)}' ` +
+                    `hx-target='#cache-admin-state' hx-swap='outerHTML'>Turn ${enabled ? 'OFF' : 'ON'}</button>`) + `</div>`;
+                const state = `<div id='cache-admin-state' class='card'><div class='title'>Cache</div>` +
+                    `${toggle('Node cache', body.cacheEnabled, '/cache')}${toggle('Redis', body.redisEnabled, '/redis')}</div>`;
+
+                if (view.action !== 'status')
+                {
+                    return state;
+                }
 
-                // ...and then Set the key:value in the cache
-                await this.#cache.set(cacheKey, value);
+                return `<div id='cache-admin'>${state}<div hx-get='${esc(`${view.root}/namespaces`)}' hx-trigger='load' hx-swap='outerHTML'></div>` +
+                    `<div id='cache-admin-keys'></div><div id='cache-admin-value'></div></div>`;
             }
-
-            return value;
         }
-        catch (exp)
+    }
+
+    /**
+     * @func _namespaceResolve
+     * @memberof mcode.cache
+     * @desc Resolves the namespace of an operation, the one asked for, or the current namespace.
+     * @param {string} [namespace] the namespace asked for by the caller.
+     * @returns {string} the namespace.
+     * @throws {Error} if the namespace asked for does not exist.
+     */
+    _namespaceResolve(namespace)
+    {
+        if (namespace === undefined || namespace === null)
         {
-            mcode.exp(`Exception getting cached '${cacheKey}' key value in NODE cache.`, MODULE_NAME, exp);
+            return this.cacheNamespace;
+        }
 
-            return cb();  // get the actual data from the data-specific callback function
+        if (!this.#cacheNamespaces[namespace])
+        {
+            throw new Error(`Namespace: ${namespace} does not exist, add it with addNamespace().`);
         }
+
+        return namespace;
     }
 
     /**
-     * @function _redisGet
+     * @func _namespaceType
      * @memberof mcode.cache
-     * @desc Caches the results of a callback function in cache under the current namespace and returns the key's value.
-     * @param {string} cacheKey the key to the cache.
-     * @param {function} cb the callback function to get fresh value.
-     * @returns {Promise} the cached value.
+     * @desc Gets the cache type of the namespace a cache key belongs to.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     * @returns {string} 'node', 'redis' or 'hybrid', undefined for an unknown namespace.
      */
-    async _redisGet(cacheKey, cb)
+    _namespaceType(cacheKey)
     {
-        try
-        {
-            // if the cache is not enabled, just get the data from the callback
-            if (!this.#redisEnabled)
-            {
-                return cb();
-            }
+        return this.#cacheNamespaces[this._namespaceOf(cacheKey)];
+    }
 
-            let value = this.#redis.get(cacheKey);
+    /**
+     * @func _namespaceOf
+     * @memberof mcode.cache
+     * @desc Finds the namespace of a cache key, the longest namespace the key starts with, so a namespace name
+     * can have a ':' of its own, i.e. 'GM:eMITS' is not 'GM'.
+     * @param {string} namespaceOrKey the namespace name, or a cache key '<namespace>:<key>'.
+     * @returns {string} the namespace, or what is before the first ':' if the key is not in a namespace.
+     */
+    _namespaceOf(namespaceOrKey)
+    {
+        let found = '';
 
-            if (!value)
+        for (const namespace in this.#cacheNamespaces)
+        {
+            if (namespace.length > found.length && (namespaceOrKey === namespace || namespaceOrKey.startsWith(`${namespace}:`)))
             {
-                // if the key does not exist in cache, use the callback to get the actual data...
-                value = await cb();
-
-                // ...and then Set the key:value in the cache
-                await this.#redis.set(cacheKey, value);
+                found = namespace;
             }
-
-            return value;
         }
-        catch (exp)
-        {
-            mcode.exp(`Exception getting cached '${cacheKey}' key value in REDIS cache.`, MODULE_NAME, exp);
 
-            return cb();  // get the actual data from the data-specific callback function
-        }
+        return found || namespaceOrKey.split(':')[0];
     }
 
     /**
-     * @function _cacheSet
+     * @func _namespaceTiers
      * @memberof mcode.cache
-     * @desc Sets a key value in the cache.
-     * @param {string} cacheKey the cache key to be set.
-     * @param {string} value the value to be set in the cache.
+     * @desc Selects which caches of a namespace type are included by a 'cache' filter of 'node', 'redis' or '*'.
+     * @param {string} cacheType the namespace type, 'node', 'redis' or 'hybrid'.
+     * @param {string} cacheFilter the cache filter, 'node', 'redis' or '*'.
+     * @returns {object} {node, redis} true for each cache included.
      */
-    async _cacheSet(cacheKey, value)
+    _namespaceTiers(cacheType, cacheFilter)
     {
-        try
-        {
-            // if the cache is not enabled, just return
-            if (!this.#cacheEnabled)
-            {
-                return;
-            }
+        return {
+            node: (cacheType === 'node' || cacheType === 'hybrid') && (cacheFilter === 'node' || cacheFilter === '*'),
+            redis: (cacheType === 'redis' || cacheType === 'hybrid') && (cacheFilter === 'redis' || cacheFilter === '*')
+        };
+    }
 
-            await this.#cache.set(cacheKey, value);
-        }
-        catch (exp)
+    /**
+     * @func _hybridL1TTL
+     * @memberof mcode.cache
+     * @desc Resolves the L1 (node-cache) Time-To-Live of a 'hybrid' key, the namespace 'l1Ttl' capped by the key's TTL.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     * @param {number} ttl the Time-To-Live of the key in L2, in seconds (0 = never expire).
+     * @returns {number} the Time-To-Live of the key in L1, in seconds.
+     */
+    _hybridL1TTL(cacheKey, ttl)
+    {
+        const config = this.#namespaceConfigs[this._namespaceOf(cacheKey)];
+        const l1Ttl = (config && config.l1Ttl !== undefined) ? config.l1Ttl : cache.L1_TTL;
+
+        if (l1Ttl === 0)
         {
-            mcode.exp(`Exception setting ${cacheKey} value in NODE cache.`, MODULE_NAME, exp);
+            return ttl;
         }
+
+        return (ttl > 0) ? Math.min(l1Ttl, ttl) : l1Ttl;
     }
 
     /**
-     * @function _redisSet
+     * @func _namespaceNegativeTTL
      * @memberof mcode.cache
-     * @desc Sets a key value in the cache.
-     * @param {string} cacheKey the cache key to be set.
-     * @param {string} value the value to be set in the cache.
+     * @desc Resolves the Time-To-Live for 'not found' results, from the caller, then the namespace.
+     * @param {string} namespace the namespace the key belongs to.
+     * @param {number} [negativeTtl] the negative Time-To-Live requested by the caller, in seconds.
+     * @returns {number} the negative Time-To-Live to use, in seconds (0 = do not cache 'not found').
      */
-    async _redisSet(cacheKey, value)
+    _namespaceNegativeTTL(namespace, negativeTtl)
     {
-        try
-        {
-            // if the cache is not enabled, just return
-            if (!this.#redisEnabled)
-            {
-                return;
-            }
-
-            await this.#redis.set(cacheKey, value);
-        }
-        catch (exp)
+        if (negativeTtl !== undefined && negativeTtl !== null)
         {
-            mcode.exp(`Exception setting ${cacheKey} value in REDIS cache.`, MODULE_NAME, exp);
+            return negativeTtl;
         }
+
+        const config = this.#namespaceConfigs[namespace];
+
+        return (config && config.negativeTtl) ? config.negativeTtl : 0;
     }
 
     /**
-     * @func _cacheDrop
+     * @func _freshTTL
      * @memberof mcode.cache
-     * @desc Drops a key value from the cache based on the 'key' name.
-     * @param {string} cacheKey the cache key to be droppped.
-     * @returns {number} the number of keys deleted from the cache.
-     * @api public
-     * @example
-     *     const count = await mcode.cacheDrop(keyName);
+     * @desc Selects the Time-To-Live for a value fresh from a callback, null or undefined is 'not found'
+     * and is only cached when negative caching is on.
+     * @param {any} value the fresh value.
+     * @param {object} options the {ttl, negativeTtl} for the key, in seconds.
+     * @returns {number|null} the Time-To-Live to cache the value with, or null to not cache it.
      */
-    async _cacheDrop(cacheKey)
+    _freshTTL(value, {ttl, negativeTtl})
     {
-        return await this.#cache.del(cacheKey);
+        if (value === null || value === undefined)
+        {
+            return (negativeTtl > 0) ? negativeTtl : null;
+        }
+
+        return ttl;
     }
 
     /**
-     * @func _redisDrop
+     * @func _namespaceCodec
      * @memberof mcode.cache
-     * @desc Drops a key value from the cache based on the 'key' name.
-     * @param {string} cacheKey the cache key to be droppped.
-     * @returns {number} the number of keys deleted from the cache.
-     * @api public
-     * @example
-     *     const count = await mcode.cacheDrop(keyName);
+     * @desc Gets the value codec for the namespace a cache key belongs to.
+     * @param {string} cacheKey the cache key, '<namespace>:<key>'.
+     * @returns {object} the namespace's {encode, decode} codec, or the 'cacheCodec' default.
      */
-    async _redisDrop(cacheKey)
+    _namespaceCodec(cacheKey)
     {
-        return await this.#redis.del(cacheKey);
+        const config = this.#namespaceConfigs[this._namespaceOf(cacheKey)];
+
+        return (config && config.codec) ? config.codec : this.#cacheCodec;
     }
 
     /**
@@ -1143,6 +6195,21 @@ class cache
         return new RegExp(`^${escapedPattern}$`); // Create a RegExp from the glob pattern
     }
 
+    // Convert a file path glob pattern to RegExp, '*' and '?' stay within a folder, '**' crosses folders
+    _convertPathGlobToRegExp(globPattern)
+    {
+        const escapedPattern = globPattern
+            .replace(/[.+^${}()|\\]/g, '\\$&')  // Escape RegExp characters, except the glob ones
+            .replace(/\*\*\//g, '\u0000')       // Hold '**/' (zero or more folders)
+            .replace(/\*\*/g, '\u0001')         // Hold '**' (any characters, across folders)
+            .replace(/\*/g, '[^/]*')            // Replace * with [^/]* (any characters in a folder)
+            .replace(/\?/g, '[^/]')             // Replace ? with [^/] (any single character in a folder)
+            .replace(/\u0000/g, '(?:.*/)?')     // Release '**/'
+            .replace(/\u0001/g, '.*');          // Release '**'
+
+        return new RegExp(`^${escapedPattern}$`); // Create a RegExp from the glob pattern
+    }
+
     // #endregion
 }
 
@@ -1167,6 +6234,9 @@ Object.getOwnPropertyNames(Object.getPrototypeOf(instance)).forEach((method) =>
     }
 });
 
+// Export the factory for independent instances, the Singleton above remains the default export
+module.exports.createCache = cache.createCache;
+
 // Export all the Public PROPERTYs (get/set)
 const descriptors = Object.getOwnPropertyDescriptors(Object.getPrototypeOf(instance));
 for (const [key, descriptor] of Object.entries(descriptors))
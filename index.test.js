@@ -1,53 +1,140 @@
 // MicroCODE: define this module's name for our 'mcode' package
 const MODULE_NAME = 'index.test.js';
 const cache = require('./index.js');
+const cli = require('./bin/mcode-cache.js');
 const mcode = require('mcode-log');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {promisify} = require('util');
+const execFile = promisify(require('child_process').execFile);
 const testFile = './index.js';
 
+// only the clock and the timers are faked, the file system and Promises keep running
+const FAKE_TIMERS = {doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask']};
+
+// the real setTimeout(), to wait on the file system while the timers are faked
+const sleep = ((setTimeout) => (ms) => new Promise(resolve => setTimeout(resolve, ms)))(global.setTimeout);
+
+/**
+ * @func until
+ * @desc Waits for something outside of the test, like a file event, to happen.
+ * @param {function} check returns, or resolves to, true once it has happened.
+ * @param {number} [tries] the most checks, 10 ms apart, default is 500.
+ */
+const until = async (check, tries = 500) =>
+{
+    while (!(await check()))
+    {
+        if (--tries <= 0)
+        {
+            throw new Error(`Gave up waiting for: ${check}`);
+        }
+
+        await sleep(10);
+    }
+};
+
+// the package again, on the in-memory Redis of ./test/fake-redis.js, for the tests of its Redis paths
+let fakeRedis;
+let redisCache;
+
+jest.isolateModules(() =>
+{
+    jest.doMock('redis', () => require('./test/fake-redis.js'));
+
+    fakeRedis = require('redis');
+    redisCache = require('./index.js');
+});
+
+/**
+ * @func withCache
+ * @desc Runs a test against a new cache instance, and closes the instance after it, passed or not.
+ * @param {object} options the options of createCache().
+ * @param {function} test called with the instance.
+ * @param {object} [from] the package to create the instance with, default is './index.js'.
+ * @returns {Promise<any>} the result of the test.
+ */
+const withCache = async (options, test, from = cache) =>
+{
+    const instance = from.createCache(options);
+
+    try
+    {
+        return await test(instance);
+    }
+    finally
+    {
+        await instance.cacheClose();
+    }
+};
+
+/**
+ * @func withRedisCache
+ * @desc Runs a test against a new cache instance on the fake Redis, once all of its namespaces are ready.
+ * @param {object} options the options of createCache().
+ * @param {function} test called with the instance.
+ * @returns {Promise<any>} the result of the test.
+ */
+const withRedisCache = (options, test) => withCache(options, async (instance) =>
+{
+    await until(() => instance.cacheReady);
+
+    return await test(instance);
+}, redisCache);
+
 // T E S T S
-// 1) read file multiple times with time keeping...
-describe('mcode-cache: file read and cache operations', () =>
+// the default instance is shared by the tests that use 'cache' directly, and closed after all of them
+let consoleSpy;
+
+beforeAll(async () =>
 {
-    let consoleSpy;
-    let time1, time2, time3, time4;
+    // Create a spy on console.log
+    consoleSpy = jest.spyOn(console, 'log');
+
+    // wait for the cache to be ready...
+    const maxRetries = 30;
+    let retries = 0;
 
-    beforeAll(async () =>
+    while (!cache.cacheReady && retries < maxRetries)
     {
-        // Create a spy on console.log
-        consoleSpy = jest.spyOn(console, 'log');
+        mcode.log('Waiting for cache to be ready...', MODULE_NAME);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        retries++;
+    }
 
-        // wait for the cache to be ready...
-        const maxRetries = 30;
-        let retries = 0;
+    if (!cache.cacheReady)
+    {
+        throw new Error('Cache not ready after waiting for 30 seconds.');
+    }
+    else
+    {
+        mcode.log('Cache is ready!', MODULE_NAME);
+    }
+});
 
-        while (!cache.cacheReady && retries < maxRetries)
-        {
-            mcode.log('Waiting for cache to be ready...', MODULE_NAME);
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            retries++;
-        }
+afterEach(() =>
+{
+    jest.useRealTimers();
+});
 
-        if (!cache.cacheReady)
-        {
-            throw new Error('Cache not ready after waiting for 30 seconds.');
-        }
-        else
-        {
-            mcode.log('Cache is ready!', MODULE_NAME);
-        }
-    });
+afterAll(async () =>
+{
+    // Restore the original console.log function after all tests
+    consoleSpy.mockRestore();
 
-    afterAll(async () =>
+    // Close connections
+    if (cache.cacheReady)
     {
-        // Restore the original console.log function after all tests
-        consoleSpy.mockRestore();
+        await cache.cacheClose();
+    }
+});
 
-        // Close connections
-        if (cache.cacheReady)
-        {
-            await cache.cacheClose();
-        }
-    });
+describe('mcode-cache: file read and cache operations', () =>
+{
+    // 1) read file multiple times with time keeping...
+    let time1, time2, time3, time4;
 
     it('cache.fileRead() should read faster the 2nd time.', async () =>
     {
@@ -111,3 +198,1221 @@ describe('mcode-cache: file read and cache operations', () =>
         expect(cacheValue).toBe(value);
     });
 });
+
+describe('mcode-cache: key TTLs', () =>
+{
+    it('cache.cacheSet() with a ttl should expire the key.', async () =>
+    {
+        jest.useFakeTimers(FAKE_TIMERS);
+
+        const key = "myTTLKey";
+        await cache.cacheSet(key, "myTTLValue", {ttl: 1});
+
+        const ttl = await cache.cacheGetTTL(key);
+        mcode.info(`Remaining TTL of ${key}: ${ttl}s`, MODULE_NAME);
+
+        expect(ttl).toBeGreaterThan(0);
+        expect(ttl).toBeLessThanOrEqual(1);
+
+        await jest.advanceTimersByTimeAsync(1100);
+
+        const cacheValue = await cache.cacheGet(key, () => {return "myExpiredValue";});
+
+        expect(cacheValue).toBe("myExpiredValue");
+    });
+
+    it('cache.cacheSetTTL() should extend the life of a key.', async () =>
+    {
+        const key = "myExtendedKey";
+        await cache.cacheSet(key, "myExtendedValue", {ttl: 1});
+
+        expect(await cache.cacheSetTTL(key, 60)).toBe(true);
+        expect(await cache.cacheGetTTL(key)).toBeGreaterThan(1);
+
+        expect(await cache.cacheSetTTL(key, 0)).toBe(true);
+        expect(await cache.cacheGetTTL(key)).toBe(-1);
+
+        expect(await cache.cacheGetTTL("myMissingKey")).toBe(-2);
+    });
+});
+
+describe('mcode-cache: cacheGet() loads', () =>
+{
+    it('cache.cacheGet() should call the callback once for concurrent misses.', async () =>
+    {
+        const key = "myConcurrentKey";
+        let calls = 0;
+
+        const loader = async () =>
+        {
+            calls++;
+            await new Promise(resolve => setTimeout(resolve, 50));
+            return "myConcurrentValue";
+        };
+
+        const values = await Promise.all(Array.from({length: 50}, () => cache.cacheGet(key, loader)));
+        mcode.info(`50 concurrent cacheGet() calls made ${calls} callback call(s).`, MODULE_NAME);
+
+        expect(calls).toBe(1);
+        expect(values.every(value => value === "myConcurrentValue")).toBe(true);
+    });
+
+    it('cache.cacheGet() should retry after a rejected callback.', async () =>
+    {
+        const key = "myRejectedKey";
+
+        await expect(cache.cacheGet(key, async () => {throw new Error("myLoaderError");})).rejects.toThrow("myLoaderError");
+
+        const cacheValue = await cache.cacheGet(key, async () => {return "myRecoveredValue";});
+
+        expect(cacheValue).toBe("myRecoveredValue");
+    });
+
+    it('cache.cacheGet() should return cached falsy values without calling the callback.', async () =>
+    {
+        let calls = 0;
+        const loader = () => {calls++; return "myDefaultValue";};
+
+        await cache.cacheSet("myZeroKey", 0);
+        await cache.cacheSet("myEmptyKey", "");
+        await cache.cacheSet("myFalseKey", false);
+
+        expect(await cache.cacheGet("myZeroKey", loader)).toBe(0);
+        expect(await cache.cacheGet("myEmptyKey", loader)).toBe("");
+        expect(await cache.cacheGet("myFalseKey", loader)).toBe(false);
+        expect(calls).toBe(0);
+    });
+
+    it('cache.cacheGet() should only cache not found results with a negativeTtl.', async () =>
+    {
+        let calls = 0;
+        const loader = () => {calls++; return null;};
+
+        await cache.cacheGet("myNotFoundKey", loader);
+        await cache.cacheGet("myNotFoundKey", loader);
+        expect(calls).toBe(2);
+
+        await cache.cacheGet("myNegativeKey", loader, {negativeTtl: 5});
+        await cache.cacheGet("myNegativeKey", loader, {negativeTtl: 5});
+        expect(calls).toBe(3);
+
+        expect(await cache.fileRead('./myMissingFile.htmx', 'utf8', {negativeTtl: 5})).toBeNull();
+    });
+});
+
+describe('mcode-cache: file watching', () =>
+{
+    it('cache.fileWatchOn() should drop a cached file when it changes on disk, even one cached before it.', async () =>
+    {
+        const watchFile = path.join(os.tmpdir(), `mcode-cache-watch-${process.pid}.htmx`);
+        await fs.writeFile(watchFile, 'version 1', 'utf8');
+
+        try
+        {
+            await withCache({namespace: 'Watch-Test'}, async (instance) =>
+            {
+                const changed = jest.spyOn(instance, '_fileChanged');
+                const cacheKey = instance.fileMakeKey(watchFile);
+                const cached = async () => (await instance.cacheListAll()).includes(cacheKey);
+
+                // the file events are real, let all of those of one write arrive
+                const written = async (content) =>
+                {
+                    const calls = changed.mock.calls.length;
+
+                    await fs.writeFile(watchFile, content, 'utf8');
+                    await until(() => changed.mock.calls.length > calls);
+                    await sleep(50);
+                };
+
+                expect(await instance.fileRead(watchFile)).toBe('version 1');
+
+                jest.useFakeTimers(FAKE_TIMERS);
+                instance.fileWatchOn({debounce: 100});
+
+                await written('version 2');
+                await jest.advanceTimersByTimeAsync(60);
+
+                // another event within the debounce starts it over
+                await written('version 3');
+                await jest.advanceTimersByTimeAsync(60);
+                expect(await cached()).toBe(true);
+
+                await jest.advanceTimersByTimeAsync(40);
+                await until(async () => !(await cached()));
+
+                expect(await instance.fileRead(watchFile)).toBe('version 3');
+            });
+        }
+        finally
+        {
+            await fs.unlink(watchFile);
+        }
+    });
+});
+
+describe('mcode-cache: file metadata and writes', () =>
+{
+    it('cache.fileReadWithMeta() should return the content with its size, hash and ETag.', async () =>
+    {
+        const content = await fs.readFile(testFile);
+        const hash = crypto.createHash('sha1').update(content).digest('hex');
+
+        const file = await cache.fileReadWithMeta(testFile);
+        mcode.info(`File metadata: ${file.size} bytes, ETag: ${file.etag}`, MODULE_NAME);
+
+        expect(file.content).toBe(content.toString('utf8'));
+        expect(file.size).toBe(content.length);
+        expect(file.hash).toBe(hash);
+        expect(file.etag).toBe(`W/"${content.length.toString(16)}-${hash}"`);
+        expect(file.mtime).toBeInstanceOf(Date);
+        expect(file.cachedAt).toBeInstanceOf(Date);
+
+        const meta = await cache.fileStat(testFile);
+
+        expect(meta.content).toBeUndefined();
+        expect(meta.etag).toBe(file.etag);
+        expect((await cache.fileStat(testFile, 'utf8', {hash: 'sha256'})).hash).toHaveLength(64);
+    });
+
+    it('cache.fileDrop(), fileReadWithMeta() and fileStat() should use the namespace of the file.', async () =>
+    {
+        await withCache({namespace: 'Files-Test', namespaces: [{name: 'Files-Other', type: 'node'}]}, async (instance) =>
+        {
+            const file = await instance.fileReadWithMeta(testFile, 'utf8', {namespace: 'Files-Other'});
+            const cacheKey = instance.fileMakeKey(testFile, 'Files-Other');
+
+            expect(await instance.cacheListAll({namespace: 'Files-Other'})).toContain(cacheKey);
+            expect((await instance.fileStat(testFile, 'utf8', {namespace: 'Files-Other'})).etag).toBe(file.etag);
+            expect(await instance.cacheListAll({namespace: 'Files-Test'})).not.toContain(instance.fileMakeKey(testFile, 'Files-Test'));
+
+            expect(await instance.fileDrop(testFile)).toBe(0);
+            expect(await instance.fileDrop(testFile, {namespace: 'Files-Other'})).toBe(1);
+            expect((await instance.cacheListAll({namespace: 'Files-Other'})).length).toBe(0);
+        });
+    });
+
+    it('cache.fileWrite() should write the file, and cache it, even while the Redis of its namespace is down.', async () =>
+    {
+        const writeFile = path.join(os.tmpdir(), `mcode-cache-write-${process.pid}.htmx`);
+        await fs.writeFile(writeFile, 'version 1', 'utf8');
+
+        try
+        {
+            await withCache({
+                namespace: 'Write-Test',
+                namespaces: [{name: 'Write-Down', type: 'redis', url: 'redis://127.0.0.1:6395', timeout: 0.2}]
+            }, async (instance) =>
+            {
+                expect(await instance.fileRead(writeFile)).toBe('version 1');
+                expect(await instance.fileWrite(writeFile, 'version 2')).not.toBeNull();
+                expect(await instance.fileRead(writeFile)).toBe('version 2');
+
+                expect(await instance.fileWrite(writeFile, 'version 3', 'utf8', {namespace: 'Write-Down'})).not.toBeNull();
+                expect(await fs.readFile(writeFile, 'utf8')).toBe('version 3');
+            });
+        }
+        finally
+        {
+            await fs.unlink(writeFile);
+        }
+    });
+});
+
+describe('mcode-cache: file preloading', () =>
+{
+    it('cache.filePreload() should cache the matching files of a directory.', async () =>
+    {
+        const preloadDir = path.join(os.tmpdir(), `mcode-cache-preload-${process.pid}`);
+        await fs.mkdir(path.join(preloadDir, 'sub'), {recursive: true});
+        await fs.writeFile(path.join(preloadDir, 'a.htmx'), 'file a', 'utf8');
+        await fs.writeFile(path.join(preloadDir, 'b.json'), '{}', 'utf8');
+        await fs.writeFile(path.join(preloadDir, 'sub', 'c.htmx'), 'file c', 'utf8');
+
+        try
+        {
+            const summary = await cache.filePreload(`${preloadDir}/**/*.htmx`, {concurrency: 2});
+            mcode.info(`Preloaded ${summary.loaded} file(s), ${summary.bytes} bytes.`, MODULE_NAME);
+
+            expect(summary.loaded).toBe(2);
+            expect(summary.bytes).toBe(12);
+            expect(summary.failed).toHaveLength(0);
+
+            // changed on disk, but still served from the cache
+            await fs.writeFile(path.join(preloadDir, 'sub', 'c.htmx'), 'file c changed', 'utf8');
+
+            expect(await cache.fileRead(path.join(preloadDir, 'sub', 'c.htmx'))).toBe('file c');
+        }
+        finally
+        {
+            await fs.rm(preloadDir, {recursive: true, force: true});
+        }
+    });
+});
+
+describe('mcode-cache: cache instances', () =>
+{
+    it('cache.createCache() should create an instance independent of the default one.', async () =>
+    {
+        await withCache({namespace: 'Tenant-1'}, (tenant1) => withCache({namespace: 'Tenant-2', ttl: 60}, async (tenant2) =>
+        {
+            await tenant1.cacheSet("myKey", "tenant1Value");
+
+            expect(tenant1.cacheNamespace).toBe('Tenant-1');
+            expect(tenant2.cacheTTL).toBe(60);
+            expect(cache.cacheNamespace).toBe('MicroCODE');
+
+            expect(await tenant1.cacheGet("myKey")).toBe("tenant1Value");
+            expect(await tenant2.cacheGet("myKey", () => {return "tenant2Value";})).toBe("tenant2Value");
+            expect(await cache.cacheGet("myKey")).toBe("myValue");
+        }));
+    });
+
+    it('cache.cacheReadyNamespaces should report the state of each namespace.', async () =>
+    {
+        const namespaces = cache.cacheReadyNamespaces;
+        mcode.info(`Namespace states: ${JSON.stringify(namespaces)}`, MODULE_NAME);
+
+        expect(namespaces.MicroCODE).toBe(true);
+        expect(cache.cacheReady).toBe(Object.values(namespaces).every(ready => ready));
+    });
+});
+
+describe('mcode-cache: Redis namespaces', () =>
+{
+    it('cache.cacheCodec should round-trip values for Redis namespaces.', async () =>
+    {
+        const value = {name: "myValue", count: 0, enabled: false, when: new Date(), data: Buffer.from("myData"), list: [1, "2", null]};
+
+        const decoded = cache.cacheCodec.decode(cache.cacheCodec.encode(value));
+
+        expect(decoded).toEqual(value);
+        expect(decoded.when).toBeInstanceOf(Date);
+        expect(Buffer.isBuffer(decoded.data)).toBe(true);
+    });
+
+    it('cache.cacheGet() should keep the values of a Redis namespace in Redis, with their type and TTL.', async () =>
+    {
+        const server = fakeRedis.listen('redis://127.0.0.1:6401');
+        const namespace = {name: 'Redis-Test', type: 'redis', url: server.url, ttl: 60};
+        let loads = 0;
+        const loader = () => {loads++; return {id: 1, when: new Date(0)};};
+
+        await withRedisCache({namespace: 'Redis-Default', namespaces: [namespace]}, async (instance) =>
+        {
+            expect(await instance.cacheGet("users/1", loader, {namespace: 'Redis-Test'})).toEqual({id: 1, when: new Date(0)});
+            expect(await instance.cacheGet("users/1", loader, {namespace: 'Redis-Test'})).toEqual({id: 1, when: new Date(0)});
+            expect(loads).toBe(1);
+
+            expect(instance.cacheCodec.decode(server.store.get('Redis-Test:users:1').value)).toEqual({id: 1, when: new Date(0)});
+            expect(await instance.withNamespace('Redis-Test', () => instance.cacheGetTTL("users/1"))).toBeGreaterThan(58);
+
+            await instance.cacheSetMany({"users/2": 2, "users/3": 0}, {namespace: 'Redis-Test', ttl: 0});
+            expect(await instance.cacheGetMany(["users/2", "users/3", "users/4"], undefined, {namespace: 'Redis-Test'})).toEqual([2, 0, undefined]);
+            expect(server.store.get('Redis-Test:users:3').expires).toBe(0);
+
+            expect((await instance.cacheListAll({namespace: 'Redis-Test'})).sort()).toEqual(['Redis-Test:users:1', 'Redis-Test:users:2', 'Redis-Test:users:3']);
+            expect(await instance.cacheDropMany(["users/1", "users/2"], {namespace: 'Redis-Test'})).toBe(2);
+            expect([...server.store.keys()]).toEqual(['Redis-Test:users:3']);
+        });
+    });
+
+    it('cache.cacheGet() should load a key once across instances that share a Redis namespace with a lock.', async () =>
+    {
+        const server = fakeRedis.listen('redis://127.0.0.1:6402');
+        const options = {namespace: 'Lock-Default', namespaces: [{name: 'Lock-Test', type: 'redis', url: server.url, lock: true}]};
+        let loads = 0;
+
+        const loader = async () =>
+        {
+            loads++;
+            await sleep(150);
+            return "lockedValue";
+        };
+
+        await withRedisCache(options, (first) => withRedisCache(options, async (second) =>
+        {
+            const values = await Promise.all([
+                first.cacheGet("reports/1", loader, {namespace: 'Lock-Test'}),
+                second.cacheGet("reports/1", loader, {namespace: 'Lock-Test'})
+            ]);
+
+            expect(values).toEqual(["lockedValue", "lockedValue"]);
+            expect(loads).toBe(1);
+            expect([...server.store.keys()]).toEqual(['Lock-Test:reports:1']);
+        }));
+    });
+});
+
+describe('mcode-cache: hybrid namespaces', () =>
+{
+    it('cache.addNamespace() should reject a hybrid namespace with an invalid l1Ttl.', async () =>
+    {
+        cache.addNamespace({name: 'Hybrid-Invalid', type: 'hybrid', l1Ttl: -1});
+
+        expect(cache.cacheNamespaces['Hybrid-Invalid']).toBeUndefined();
+    });
+
+    it('cache.cacheDrop() should drop the L1 copy of a hybrid key while Redis is down, not throw.', async () =>
+    {
+        await withCache({
+            namespace: 'Hybrid-Down-Test',
+            namespaces: [{name: 'Hybrid-Down', type: 'hybrid', url: 'redis://127.0.0.1:6392', timeout: 0.2}]
+        }, async (instance) =>
+        {
+            await instance.cacheSet("downKey", "l1Value", {namespace: 'Hybrid-Down'});
+            await instance.cacheSetMany({key1: 1, key2: 2}, {namespace: 'Hybrid-Down'});
+
+            expect(await instance.cacheDrop("downKey", {namespace: 'Hybrid-Down'})).toBe(1);
+            expect(await instance.cacheDropMany(["key1", "key2"], {namespace: 'Hybrid-Down'})).toBe(2);
+            expect(await instance.cacheGet("downKey", () => "loaded", {namespace: 'Hybrid-Down'})).toBe("loaded");
+        });
+    });
+
+    it('cache.cacheGet() should read a hybrid key from its L1, and fill the L1 from Redis when it expires.', async () =>
+    {
+        const server = fakeRedis.listen('redis://127.0.0.1:6403');
+        const options = {namespace: 'Hybrid-Default', namespaces: [{name: 'Hybrid-Test', type: 'hybrid', url: server.url, ttl: 60, l1Ttl: 5}]};
+
+        await withRedisCache(options, (writer) => withRedisCache(options, async (reader) =>
+        {
+            await writer.cacheSet("config/1", {theme: 'dark'}, {namespace: 'Hybrid-Test'});
+            expect(server.store.has('Hybrid-Test:config:1')).toBe(true);
+
+            // the first read is from Redis, the next from the L1, without a Redis command
+            expect(await reader.cacheGet("config/1", undefined, {namespace: 'Hybrid-Test'})).toEqual({theme: 'dark'});
+
+            const commands = server.commands.length;
+            expect(await reader.cacheGet("config/1", undefined, {namespace: 'Hybrid-Test'})).toEqual({theme: 'dark'});
+            expect(server.commands.length).toBe(commands);
+
+            // a hybrid key is described by its Redis copy
+            const [row] = await reader.cacheInspect({namespace: 'Hybrid-Test'});
+            expect(row).toMatchObject({cacheKey: 'Hybrid-Test:config:1', backend: 'redis', ttl: expect.any(Number)});
+
+            // once the L1 copy expires, the key is read again from Redis
+            jest.useFakeTimers(FAKE_TIMERS);
+            await writer.cacheSet("config/1", {theme: 'light'}, {namespace: 'Hybrid-Test'});
+            expect(await reader.cacheGet("config/1", undefined, {namespace: 'Hybrid-Test'})).toEqual({theme: 'dark'});
+
+            await jest.advanceTimersByTimeAsync(5100);
+            expect(await reader.cacheGet("config/1", undefined, {namespace: 'Hybrid-Test'})).toEqual({theme: 'light'});
+            expect(server.commands.length).toBeGreaterThan(commands);
+
+            expect(await writer.cacheDrop("config/1", {namespace: 'Hybrid-Test'})).toBe(1);
+            expect(server.store.has('Hybrid-Test:config:1')).toBe(false);
+        }));
+    });
+});
+
+describe('mcode-cache: invalidation bus', () =>
+{
+    it('cache.cacheBusOn() should keep the cache working while the bus Redis server is unavailable.', async () =>
+    {
+        await withCache({namespace: 'Bus-Test'}, async (instance) =>
+        {
+            instance.cacheBusOn({url: 'redis://127.0.0.1:6390'});
+
+            await instance.cacheSet("busKey", "busValue");
+            expect(await instance.cacheGet("busKey")).toBe("busValue");
+            expect(await instance.cacheDrop("busKey")).toBe(1);
+            expect(await instance.cacheDropAll({namespace: 'Bus-Test'})).toBe(1);
+
+            mcode.info(`Cache worked with the bus on and its Redis server down.`, MODULE_NAME);
+        });
+    });
+
+    it('cache.cacheBusOn() should share sets and drops with the other instances, and drop their keys after an outage.', async () =>
+    {
+        const server = fakeRedis.listen('redis://127.0.0.1:6404');
+        const options = {namespace: 'Bus-Shared', namespaces: [{name: 'Bus-Hybrid', type: 'hybrid', url: server.url}]};
+        const has = async (instance, cacheKey) => (await instance.cacheListAll({namespace: 'Bus-Shared'})).includes(cacheKey);
+
+        await withRedisCache(options, (first) => withRedisCache(options, async (second) =>
+        {
+            first.cacheBusOn({url: server.url, channel: 'Bus-Test'});
+            second.cacheBusOn({url: server.url, channel: 'Bus-Test'});
+
+            // the bus is up once a set of one instance reaches the other
+            await until(async () =>
+            {
+                await first.cacheSet("users/1", {name: 'One'}, {tags: ['user:1']});
+                return await has(second, 'Bus-Shared:users:1');
+            });
+            expect(await second.cacheGet("users/1")).toEqual({name: 'One'});
+
+            expect(await second.cacheDropTag('user:1', {namespace: 'Bus-Shared'})).toBe(1);
+            await until(async () => !(await has(first, 'Bus-Shared:users:1')));
+
+            await second.cacheSetMany({"orders/1": 1, "orders/2": 2});
+            await until(async () => await has(first, 'Bus-Shared:orders:2'));
+            expect(await first.cacheDropAll({namespace: 'Bus-Shared', pattern: 'orders:*'})).toBe(2);
+            await until(async () => !(await has(second, 'Bus-Shared:orders:1')));
+
+            // a hybrid key set by one instance drops the L1 copy of the other, which reads it again from Redis
+            await first.cacheSet("config/1", 'v1', {namespace: 'Bus-Hybrid'});
+            expect(await second.cacheGet("config/1", undefined, {namespace: 'Bus-Hybrid'})).toBe('v1');
+
+            await first.cacheSet("config/1", 'v2', {namespace: 'Bus-Hybrid'});
+            await until(async () => await second.cacheGet("config/1", undefined, {namespace: 'Bus-Hybrid'}) === 'v2');
+
+            // changes made during an outage are not heard, so every instance drops its node keys when the bus is back
+            await first.cacheSet("users/2", {name: 'Two'});
+            await until(async () => await has(second, 'Bus-Shared:users:2'));
+
+            server.stop();
+            server.start();
+
+            await until(async () => !(await has(first, 'Bus-Shared:users:2')) && !(await has(second, 'Bus-Shared:users:2')));
+        }));
+    });
+});
+
+describe('mcode-cache: Redis resilience', () =>
+{
+    it('cache.cacheGet() should read a Redis namespace from its shadow fallback while Redis is down, not hang.', async () =>
+    {
+        let loads = 0;
+        const loader = () => {loads++; return "freshValue";};
+
+        await withCache({
+            namespace: 'Down-Test',
+            namespaces: [{name: 'Redis-Down', type: 'redis', url: 'redis://127.0.0.1:6391', timeout: 0.2, fallback: 'shadow'}]
+        }, async (instance) =>
+        {
+            expect(await instance.cacheGet("downKey", loader, {namespace: 'Redis-Down'})).toBe("freshValue");
+            expect(await instance.cacheGet("downKey", loader, {namespace: 'Redis-Down'})).toBe("freshValue");
+            expect(loads).toBe(1);
+
+            expect(instance.cacheReadyNamespaces['Redis-Down']).toBe(false);
+            expect(instance.cacheReady).toBe(false);
+        });
+    });
+
+    it('cache.cacheListAll(), cacheDropAll(), redisOff() and cacheOff() should skip a namespace while its Redis is down.', async () =>
+    {
+        await withCache({
+            namespace: 'Skip-Test',
+            namespaces: [{name: 'Skip-Down', type: 'redis', url: 'redis://127.0.0.1:6393', timeout: 0.2}]
+        }, async (instance) =>
+        {
+            await instance.cacheSet("nodeKey", "nodeValue");
+
+            expect(await instance.cacheListAll()).toContain('Skip-Test:nodeKey');
+            expect(await instance.cacheDropAll({pattern: 'nodeKey'})).toBe(1);
+
+            await expect(instance.redisOff()).resolves.toBeUndefined();
+            await expect(instance.cacheOff()).resolves.toBeUndefined();
+        });
+    });
+
+    it('cache.cacheGet() should open the circuit when Redis goes down, read the shadow, and read Redis again once it is back.', async () =>
+    {
+        const server = fakeRedis.listen('redis://127.0.0.1:6406');
+        const namespace = {name: 'Circuit-Redis', type: 'redis', url: server.url, fallback: 'shadow'};
+        const circuit = [];
+        let loads = 0;
+        const loader = () => ++loads;
+
+        await withRedisCache({namespace: 'Circuit-Default', namespaces: [namespace]}, async (instance) =>
+        {
+            instance.on('redis:circuit', ({state, namespaces}) => circuit.push(`${state}:${namespaces}`));
+
+            expect(await instance.cacheGet("counter", loader, {namespace: 'Circuit-Redis'})).toBe(1);
+
+            server.stop();
+            expect(circuit).toEqual(['open:Circuit-Redis']);
+            expect(instance.cacheReadyNamespaces['Circuit-Redis']).toBe(false);
+
+            // while Redis is down a load is kept in the shadow
+            expect(await instance.cacheGet("counter", loader, {namespace: 'Circuit-Redis'})).toBe(2);
+            expect(await instance.cacheGet("counter", loader, {namespace: 'Circuit-Redis'})).toBe(2);
+
+            server.start();
+            await until(() => instance.cacheReady);
+
+            // the shadow is dropped, Redis has the value it kept
+            expect(circuit).toEqual(['open:Circuit-Redis', 'closed:Circuit-Redis']);
+            expect(await instance.cacheGet("counter", loader, {namespace: 'Circuit-Redis'})).toBe(1);
+            expect(loads).toBe(2);
+        });
+    });
+
+    it('cache.cacheGet() should open the circuit after commands time out, and close it after a trial command.', async () =>
+    {
+        const server = fakeRedis.listen('redis://127.0.0.1:6407');
+        const namespace = {name: 'Breaker-Redis', type: 'redis', url: server.url, timeout: 0.05, breaker: {failures: 2, reset: 0.2}};
+        const client = Object.getPrototypeOf(fakeRedis.createClient());
+        const circuit = [];
+        const loader = () => "loaded";
+
+        await withRedisCache({namespace: 'Breaker-Default', namespaces: [namespace]}, async (instance) =>
+        {
+            instance.on('redis:circuit', ({state}) => circuit.push(state));
+
+            await instance.cacheSet("breakerKey", "cached", {namespace: 'Breaker-Redis'});
+
+            // Redis is connected, but its GETs never answer
+            const hang = jest.spyOn(client, 'get').mockImplementation(() => new Promise(() => {}));
+
+            expect(await instance.cacheGet("breakerKey", loader, {namespace: 'Breaker-Redis'})).toBe("loaded");
+            expect(circuit).toEqual([]);
+            expect(await instance.cacheGet("breakerKey", loader, {namespace: 'Breaker-Redis'})).toBe("loaded");
+            expect(circuit).toEqual(['open']);
+
+            // an open circuit refuses commands at once
+            const calls = hang.mock.calls.length;
+            expect(await instance.cacheGet("breakerKey", loader, {namespace: 'Breaker-Redis'})).toBe("loaded");
+            expect(hang.mock.calls.length).toBe(calls);
+
+            hang.mockRestore();
+            await sleep(250);
+
+            expect(await instance.cacheGet("breakerKey", loader, {namespace: 'Breaker-Redis'})).toBe("cached");
+            expect(circuit).toEqual(['open', 'half-open', 'closed']);
+            expect(instance.cacheReady).toBe(true);
+        });
+    });
+});
+
+describe('mcode-cache: statistics', () =>
+{
+    it('cache.cacheStats() should count hits, misses, loads and sets per namespace and render them for Prometheus.', async () =>
+    {
+        await withCache({namespace: 'Stats-Test'}, async (instance) =>
+        {
+            await instance.cacheGet("statsKey", () => {return "statsValue";});
+            await instance.cacheGet("statsKey", () => {return "statsValue";});
+            await expect(instance.cacheGet("failKey", () => {throw new Error('load failed');})).rejects.toThrow('load failed');
+
+            const stats = instance.cacheStats()['Stats-Test'].node;
+            mcode.info(`Stats: ${JSON.stringify(stats)}`, MODULE_NAME);
+
+            expect(stats.hits).toBe(1);
+            expect(stats.misses).toBe(2);
+            expect(stats.hitRatio).toBeCloseTo(1 / 3);
+            expect(stats.loads).toBe(2);
+            expect(stats.loadErrors).toBe(1);
+            expect(stats.sets).toBe(2);  // the 'Default' key of a new instance, and 'statsKey'
+            expect(stats.loadLatency.count).toBe(2);
+            expect(stats.loadLatency.buckets['+Inf']).toBe(2);
+
+            const metrics = instance.cacheStatsPrometheus();
+            expect(metrics).toContain('mcode_cache_hits_total{namespace="Stats-Test",cache="node"} 1');
+            expect(metrics).toContain('mcode_cache_load_errors_total{namespace="Stats-Test",cache="node"} 1');
+            expect(metrics).toContain('mcode_cache_load_duration_seconds_count{namespace="Stats-Test",cache="node"} 2');
+
+            instance.cacheStatsReset();
+            expect(instance.cacheStats()).toEqual({});
+        });
+    });
+});
+
+describe('mcode-cache: events', () =>
+{
+    it('cache.on() should call handlers for miss, set, hit, drop and expired events.', async () =>
+    {
+        jest.useFakeTimers(FAKE_TIMERS);
+
+        const events = [];
+        const handler = (name) => (payload) => events.push(`${name}:${payload.namespace}:${payload.cacheKey}:${payload.backend}`);
+
+        await withCache({namespace: 'Events-Test'}, async (instance) =>
+        {
+            ['miss', 'set', 'hit', 'drop', 'expired'].forEach(name => instance.on(name, handler(name)));
+
+            await instance.cacheGet("eventKey", () => {return "eventValue";});
+            await instance.cacheGet("eventKey");
+            await instance.cacheDrop("eventKey");
+
+            await instance.cacheSet("shortKey", "shortValue", {ttl: 1});
+            await jest.advanceTimersByTimeAsync(1100);
+            await instance.cacheGet("shortKey", () => {return "freshValue";});
+
+            instance.off('miss');
+            await instance.cacheGet("otherKey", () => {return "otherValue";});
+
+            mcode.info(`Events: ${JSON.stringify(events)}`, MODULE_NAME);
+
+            expect(events).toContain('miss:Events-Test:Events-Test:eventKey:node');
+            expect(events).toContain('set:Events-Test:Events-Test:eventKey:node');
+            expect(events).toContain('hit:Events-Test:Events-Test:eventKey:node');
+            expect(events).toContain('drop:Events-Test:Events-Test:eventKey:node');
+            expect(events).toContain('expired:Events-Test:Events-Test:shortKey:node');
+            expect(events).not.toContain('miss:Events-Test:Events-Test:otherKey:node');
+        });
+    });
+});
+
+describe('mcode-cache: tags', () =>
+{
+    it('cache.cacheDropTag() should drop every key with a tag, and forget keys that expired.', async () =>
+    {
+        jest.useFakeTimers(FAKE_TIMERS);
+
+        await withCache({namespace: 'Tags-Test'}, async (instance) =>
+        {
+            await instance.cacheSet("users/42/profile", "profile", {tags: ['user:42']});
+            await instance.cacheGet("reports/7", () => {return "report";}, {tags: ['user:42', 'reports']});
+            await instance.cacheSet("users/43/profile", "other", {tags: ['user:43']});
+            await instance.cacheSet("users/42/session", "session", {ttl: 1, tags: ['user:42']});
+
+            await jest.advanceTimersByTimeAsync(1100);
+            expect(await instance.cacheGet("users/42/session", () => {return null;})).toBeNull();
+
+            const count = await instance.cacheDropTag('user:42');
+            mcode.info(`Dropped ${count} keys tagged 'user:42'.`, MODULE_NAME);
+
+            expect(count).toBe(2);
+            expect(await instance.cacheGet("users/42/profile", () => {return "reloaded";})).toBe("reloaded");
+            expect(await instance.cacheGet("users/43/profile")).toBe("other");
+            expect(await instance.cacheDropTag('reports')).toBe(0);
+        });
+    });
+
+    it('cache.cacheDropTag(), cacheListAll() and events should keep a namespace with a \':\' apart from its prefix.', async () =>
+    {
+        const sets = [];
+
+        await withCache({namespace: 'Tenant', namespaces: [{name: 'Tenant:Child', type: 'node', ttl: 600}]}, async (instance) =>
+        {
+            instance.on('set', ({namespace, cacheKey}) => cacheKey.endsWith(':users:1') && sets.push(namespace));
+
+            await instance.cacheSet("users/1", "parent", {tags: ['user:1']});
+            await instance.cacheSet("users/1", "child", {namespace: 'Tenant:Child', tags: ['user:1']});
+
+            expect(sets).toEqual(['Tenant', 'Tenant:Child']);
+            expect(await instance.withNamespace('Tenant:Child', () => instance.cacheGetTTL("users/1"))).toBeGreaterThan(500);
+            expect(await instance.cacheListAll({namespace: 'Tenant', pattern: 'users:*'})).toEqual(['Tenant:users:1']);
+
+            expect(await instance.cacheDropTag('user:1', {namespace: 'Tenant:Child'})).toBe(1);
+            expect(await instance.cacheGet("users/1")).toBe("parent");
+        });
+    });
+
+    it('cache.cacheDropTag() should drop the tagged keys of a Redis namespace, keeping a key tagged while it runs.', async () =>
+    {
+        const server = fakeRedis.listen('redis://127.0.0.1:6405');
+        const namespace = {name: 'Tags-Redis', type: 'redis', url: server.url};
+        const client = Object.getPrototypeOf(fakeRedis.createClient());
+        const sMembers = client.sMembers;
+
+        await withRedisCache({namespace: 'Tags-Default', namespaces: [namespace]}, async (instance) =>
+        {
+            await instance.cacheSet("users/42/profile", "profile", {namespace: 'Tags-Redis', tags: ['user:42']});
+            await instance.cacheGet("reports/7", () => {return "report";}, {namespace: 'Tags-Redis', tags: ['user:42', 'reports']});
+            await instance.cacheSet("users/43/profile", "other", {namespace: 'Tags-Redis', tags: ['user:43']});
+
+            jest.useFakeTimers(FAKE_TIMERS);
+            await instance.cacheSet("users/42/session", "session", {namespace: 'Tags-Redis', ttl: 1, tags: ['user:42']});
+            await jest.advanceTimersByTimeAsync(1100);
+
+            // another App instance tags a key between the read of the tag and its removal
+            const read = jest.spyOn(client, 'sMembers').mockImplementationOnce(async function (key)
+            {
+                const members = await sMembers.call(this, key);
+                await instance.cacheSet("users/42/orders", "orders", {namespace: 'Tags-Redis', tags: ['user:42']});
+                return members;
+            });
+
+            expect(await instance.cacheDropTag('user:42')).toBe(2);
+            read.mockRestore();
+
+            expect(server.store.has('Tags-Redis:users:42:profile')).toBe(false);
+            expect(server.store.has('Tags-Redis:reports:7')).toBe(false);
+            expect(await instance.cacheGet("users/43/profile", undefined, {namespace: 'Tags-Redis'})).toBe("other");
+
+            expect(await instance.cacheDropTag('user:42', {namespace: 'Tags-Redis'})).toBe(1);
+            expect(server.store.has('Tags-Redis:users:42:orders')).toBe(false);
+            expect(await instance.cacheDropTag('reports')).toBe(0);
+        });
+    });
+});
+
+describe('mcode-cache: memoize', () =>
+{
+    it('cache.memoize() should cache results by their arguments, with drop() and clear().', async () =>
+    {
+        let calls = 0;
+
+        async function findUser(id, options)
+        {
+            calls++;
+            return {id: id, name: `user-${id}`, active: options.active};
+        }
+
+        await withCache({namespace: 'Memo-Test'}, async (instance) =>
+        {
+            const cachedFindUser = instance.memoize(findUser, {ttl: 60});
+
+            expect(await cachedFindUser(42, {active: true, role: 'admin'})).toEqual({id: 42, name: 'user-42', active: true});
+            expect(await cachedFindUser(42, {role: 'admin', active: true})).toEqual({id: 42, name: 'user-42', active: true});
+            expect(calls).toBe(1);
+
+            await cachedFindUser(43, {active: false});
+            expect(calls).toBe(2);
+
+            await cachedFindUser.drop(42, {active: true, role: 'admin'});
+            await cachedFindUser(42, {active: true, role: 'admin'});
+            expect(calls).toBe(3);
+
+            expect(await cachedFindUser.clear()).toBe(2);
+            await cachedFindUser(43, {active: false});
+            expect(calls).toBe(4);
+
+            const keys = await instance.cacheListAll({namespace: 'Memo-Test', pattern: 'memo:findUser:*'});
+            mcode.info(`Memoized keys: ${JSON.stringify(keys)}`, MODULE_NAME);
+            expect(keys.length).toBe(1);
+
+            expect(() => instance.memoize(async () => 1)).toThrow();
+
+            // a name with a slash is made into a key, clear() has to find it the same way
+            const cachedFindByPath = instance.memoize(findUser, {name: 'users/find'});
+
+            await cachedFindByPath(1, {active: true});
+            await cachedFindByPath(2, {active: true});
+            expect(await cachedFindByPath.clear()).toBe(2);
+            expect((await instance.cacheListAll({namespace: 'Memo-Test', pattern: 'memo:users:find:*'})).length).toBe(0);
+
+            // two functions with the same name must not share keys
+            const usersRepo = {find: async (id) => `user-${id}`};
+            const ordersRepo = {find: async (id) => `order-${id}`};
+
+            const findUsers = instance.memoize(usersRepo.find);
+            expect(() => instance.memoize(ordersRepo.find)).toThrow(/name: find is used by another function/);
+            expect(() => instance.memoize(usersRepo.find)).not.toThrow();
+
+            const findOrders = instance.memoize(ordersRepo.find, {name: 'orders.find'});
+            expect(await findUsers(1)).toBe('user-1');
+            expect(await findOrders(1)).toBe('order-1');
+        });
+    });
+});
+
+describe('mcode-cache: scoped namespaces', () =>
+{
+    it('cache.withNamespace() should keep concurrent requests in their own namespaces.', async () =>
+    {
+        await withCache({namespace: 'Scope-Default', namespaces: [{name: 'Scope-A', type: 'node'}, {name: 'Scope-B', type: 'node'}]}, async (instance) =>
+        {
+            const request = (namespace, delay) => instance.withNamespace(namespace, async () =>
+            {
+                await instance.cacheSet("requestKey", namespace);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                return {namespace: instance.cacheNamespace, value: await instance.cacheGet("requestKey")};
+            });
+
+            const [a, b] = await Promise.all([request('Scope-A', 50), request('Scope-B', 10)]);
+            mcode.info(`Scoped results: ${JSON.stringify([a, b])}`, MODULE_NAME);
+
+            expect(a).toEqual({namespace: 'Scope-A', value: 'Scope-A'});
+            expect(b).toEqual({namespace: 'Scope-B', value: 'Scope-B'});
+            expect(instance.cacheNamespace).toBe('Scope-Default');
+
+            expect(await instance.cacheGet("requestKey", () => {return "none";})).toBe("none");
+            expect(await instance.cacheGet("requestKey", undefined, {namespace: 'Scope-A'})).toBe("Scope-A");
+            expect(await instance.cacheDrop("requestKey", {namespace: 'Scope-B'})).toBe(1);
+            await expect(instance.cacheGet("requestKey", undefined, {namespace: 'Scope-X'})).rejects.toThrow();
+        });
+    });
+});
+
+describe('mcode-cache: bounded namespaces', () =>
+{
+    it('cache.addNamespace() should bound a namespace by maxKeys and maxBytes, evicting by its policy.', async () =>
+    {
+        const evicted = [];
+
+        await withCache({
+            namespace: 'Bounded-Default',
+            namespaces: [{name: 'Bounded-LRU', type: 'node', maxKeys: 3}, {name: 'Bounded-LFU', type: 'node', maxBytes: 200, policy: 'lfu'}]
+        }, async (instance) =>
+        {
+            instance.on('evicted', ({cacheKey}) => evicted.push(cacheKey));
+
+            for (const key of ['a', 'b', 'c'])
+            {
+                await instance.cacheSet(key, key, {namespace: 'Bounded-LRU'});
+            }
+            await instance.cacheGet('a', undefined, {namespace: 'Bounded-LRU'});
+            await instance.cacheSet('d', 'd', {namespace: 'Bounded-LRU'});
+
+            expect(evicted).toEqual(['Bounded-LRU:b']);
+            expect(await instance.cacheListAll({namespace: 'Bounded-LRU'})).toEqual(expect.arrayContaining(['Bounded-LRU:a', 'Bounded-LRU:c', 'Bounded-LRU:d']));
+
+            await instance.cacheSet('hot', 'x'.repeat(60), {namespace: 'Bounded-LFU'});
+            await instance.cacheSet('cold', 'y'.repeat(60), {namespace: 'Bounded-LFU'});
+            await instance.cacheGet('hot', undefined, {namespace: 'Bounded-LFU'});
+            await instance.cacheSet('new', 'z'.repeat(60), {namespace: 'Bounded-LFU'});
+
+            expect(evicted).toContain('Bounded-LFU:cold');
+
+            const usage = instance.cacheUsage();
+            mcode.info(`Usage: ${JSON.stringify(usage)}`, MODULE_NAME);
+
+            expect(usage['Bounded-LRU']).toEqual({keys: 3, bytes: expect.any(Number), maxKeys: 3, maxBytes: 0, policy: 'lru', evictions: 1});
+            expect(usage['Bounded-LRU'].bytes).toBeGreaterThan(0);
+            expect(usage['Bounded-LFU'].bytes).toBeLessThanOrEqual(200);
+            expect(usage['Bounded-LFU'].keys).toBe(2);
+
+            // a value that can never fit is rejected, its old value dropped, and it is not counted as a set
+            const sets = [];
+            instance.on('set', ({cacheKey}) => sets.push(cacheKey));
+            instance.cacheStatsReset();
+
+            await instance.cacheSet('huge', 'w'.repeat(300), {namespace: 'Bounded-LFU'});
+            await instance.cacheSetMany({hot: 'x'.repeat(300), small: 's'}, {namespace: 'Bounded-LFU'});
+
+            expect(sets).toEqual(['Bounded-LFU:small']);
+            expect(evicted).not.toContain('Bounded-LFU:huge');
+            expect(instance.cacheStats()['Bounded-LFU'].node.sets).toBe(1);
+            expect(await instance.cacheListAll({namespace: 'Bounded-LFU'})).not.toContain('Bounded-LFU:hot');
+        });
+    });
+});
+
+describe('mcode-cache: snapshots', () =>
+{
+    it('cache.cacheSave() and cache.cacheLoad() should restore node namespaces, skipping expired keys.', async () =>
+    {
+        jest.useFakeTimers(FAKE_TIMERS);
+
+        const snapshotDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcode-cache-save-'));
+        const snapshotPath = path.join(snapshotDir, 'cache.snapshot.json');
+
+        try
+        {
+            // closing the instance saves its snapshot
+            await withCache({namespace: 'Save-Test'}, async (before) =>
+            {
+                await before.cacheSet("saveKey", {saved: new Date(0), count: 3}, {ttl: 60, tags: ['saved']});
+                await before.cacheSet("foreverKey", "forever", {ttl: 0});
+                await before.cacheSet("shortKey", "short", {ttl: 1});
+
+                before.cacheSaveOn(snapshotPath, {interval: 0});
+            });
+
+            await jest.advanceTimersByTimeAsync(1100);
+
+            await withCache({namespace: 'Save-Test'}, async (after) =>
+            {
+                const summary = await after.cacheLoad(snapshotPath);
+                mcode.info(`Loaded snapshot: ${JSON.stringify(summary)}`, MODULE_NAME);
+
+                expect(summary.loaded).toBe(3);  // 'Default', 'saveKey' and 'foreverKey'
+                expect(summary.expired).toBe(1);
+                expect(await after.cacheGet("saveKey")).toEqual({saved: new Date(0), count: 3});
+                expect(await after.cacheGetTTL("saveKey")).toBeLessThanOrEqual(60);
+                expect(await after.cacheGetTTL("foreverKey")).toBe(-1);
+                expect(await after.cacheGet("shortKey", () => {return "reloaded";})).toBe("reloaded");
+                expect(await after.cacheDropTag('saved')).toBe(1);
+
+                expect((await after.cacheLoad(path.join(snapshotDir, 'missing.json'))).loaded).toBe(0);
+
+                const partPath = path.join(snapshotDir, 'part.json');
+                expect((await after.cacheSave(partPath, {pattern: 'foreverKey'})).keys).toBe(1);
+                expect((await after.cacheLoad(partPath, {cache: 'redis'})).skipped).toBe(1);
+            });
+        }
+        finally
+        {
+            await fs.rm(snapshotDir, {recursive: true, force: true});
+        }
+    });
+});
+
+describe('mcode-cache: copying keys', () =>
+{
+    it('cache.cacheCopy() should copy or move keys between namespaces with their TTLs.', async () =>
+    {
+        await withCache({namespace: 'Copy-From', namespaces: [{name: 'Copy-To', type: 'node', ttl: 600}]}, async (instance) =>
+        {
+            await instance.cacheSet("users/1", {id: 1}, {ttl: 30, tags: ['user:1']});
+            await instance.cacheSet("users/2", {id: 2}, {ttl: 0});
+            await instance.cacheSet("orders/1", {id: 1});
+            await instance.cacheSet("users/2", "existing", {namespace: 'Copy-To'});
+
+            const report = await instance.cacheCopy({from: 'Copy-From', to: 'Copy-To', pattern: 'users:*', move: true, overwrite: false});
+            mcode.info(`Copy report: ${JSON.stringify(report)}`, MODULE_NAME);
+
+            expect(report.copied).toEqual([{from: 'Copy-From:users:1', to: 'Copy-To:users:1'}]);
+            expect(report.skipped).toEqual([{key: 'Copy-From:users:2', reason: 'exists'}]);
+            expect(report.failed).toEqual([]);
+
+            expect(await instance.cacheGet("users/1", undefined, {namespace: 'Copy-To'})).toEqual({id: 1});
+            expect(await instance.withNamespace('Copy-To', () => instance.cacheGetTTL("users/1"))).toBeLessThanOrEqual(30);
+            expect(await instance.cacheGet("users/1", () => {return null;})).toBeNull();
+            expect(await instance.cacheGet("orders/1")).toEqual({id: 1});
+            expect(await instance.cacheDropTag('user:1', {namespace: 'Copy-To'})).toBe(1);
+
+            await expect(instance.cacheCopy({from: 'Copy-From', to: 'Copy-Nowhere'})).rejects.toThrow();
+        });
+    });
+});
+
+describe('mcode-cache: batches', () =>
+{
+    it('cache.cacheGetMany() should load only the missing keys, with one call.', async () =>
+    {
+        const loaderCalls = [];
+
+        await withCache({namespace: 'Batch'}, async (instance) =>
+        {
+            await instance.cacheSetMany([{key: "a", value: 1}, {key: "b", value: 0, ttl: 0}], {tags: ['batch']});
+
+            const values = await instance.cacheGetMany(["a", "b", "c", "d"], (missing) =>
+            {
+                loaderCalls.push(missing);
+                return {c: 3};
+            });
+
+            expect(values).toEqual([1, 0, 3, undefined]);
+            expect(loaderCalls).toEqual([["c", "d"]]);
+            expect(await instance.cacheGetTTL("b")).toBe(-1);
+            expect(await instance.cacheGetMany(["c", "a"])).toEqual([3, 1]);
+
+            expect(await instance.cacheDropMany(["a", "c", "z"])).toBe(2);
+            expect(await instance.cacheGetMany(["a", "b", "c"])).toEqual([undefined, 0, undefined]);
+            expect(await instance.cacheDropTag('batch')).toBe(1);
+        });
+    });
+
+    it('cache.cacheDrop(), cacheDropMany() and cacheSetMany() should not throw on a Redis namespace while Redis is down.', async () =>
+    {
+        await withCache({
+            namespace: 'Many-Down-Test',
+            namespaces: [{name: 'Many-Down', type: 'redis', url: 'redis://127.0.0.1:6394', timeout: 0.2}]
+        }, async (instance) =>
+        {
+            await expect(instance.cacheSetMany({key1: 1, key2: 2}, {namespace: 'Many-Down'})).resolves.toBeUndefined();
+            expect(await instance.cacheDrop("key1", {namespace: 'Many-Down'})).toBe(0);
+            expect(await instance.cacheDropMany(["key1", "key2"], {namespace: 'Many-Down'})).toBe(0);
+        });
+    });
+});
+
+describe('mcode-cache: scanning and inspection', () =>
+{
+    it('cache.cacheScan() should iterate keys, and cacheDropAll() should drop them in batches.', async () =>
+    {
+        const progress = [];
+
+        await withCache({namespace: 'Scan-Test', namespaces: [{name: 'Scan-Other', type: 'node'}]}, async (instance) =>
+        {
+            await instance.cacheSetMany({"users/1": 1, "users/2": 2, "users/3": 3, "orders/1": 4, "orders/2": 5});
+            await instance.cacheSet("users/1", "other", {namespace: 'Scan-Other'});
+
+            const scanned = [];
+
+            for await (const cacheKey of instance.cacheScan({namespace: 'Scan-Test', pattern: 'users:*'}))
+            {
+                scanned.push(cacheKey);
+            }
+
+            expect(scanned.sort()).toEqual(['Scan-Test:users:1', 'Scan-Test:users:2', 'Scan-Test:users:3']);
+
+            const dropped = await instance.cacheDropAll({namespace: 'Scan-Test', count: 2, onProgress: (p) => progress.push(p.dropped)});
+
+            expect(dropped).toBe(6);  // the 5 keys above and 'Default'
+            expect(progress).toEqual([2, 4, 6]);
+            expect(await instance.cacheListAll({namespace: '*'})).toEqual(['Scan-Other:users:1']);
+        });
+    });
+
+    it('cache.cacheInspect() should describe keys with their TTL, size, type and a preview.', async () =>
+    {
+        const before = Date.now();
+
+        await withCache({namespace: 'Inspect-Test'}, async (instance) =>
+        {
+            await instance.cacheSet("users/1", {name: "A long enough name to be cut", roles: ['admin']}, {ttl: 60});
+            await instance.cacheSet("users/2", Buffer.from("bytes"), {ttl: 0});
+            await instance.cacheSet("orders/1", 42);
+
+            const rows = await instance.cacheInspect({pattern: 'users:*', preview: 20});
+            mcode.info(`Inspected: ${JSON.stringify(rows)}`, MODULE_NAME);
+
+            expect(rows.map(row => row.key).sort()).toEqual(['users:1', 'users:2']);
+
+            const user = rows.find(row => row.key === 'users:1');
+            expect(user.cacheKey).toBe('Inspect-Test:users:1');
+            expect(user.backend).toBe('node');
+            expect(user.type).toBe('object');
+            expect(user.ttl).toBeGreaterThan(59);
+            expect(user.size).toBeGreaterThan(0);
+            expect(user.cachedAt.getTime()).toBeGreaterThanOrEqual(before);
+            expect(user.preview).toBe("{ name: 'A long enou...");
+
+            const bytes = rows.find(row => row.key === 'users:2');
+            expect(bytes.type).toBe('buffer');
+            expect(bytes.ttl).toBe(-1);
+            expect(user.tags).toEqual([]);
+
+            expect(await instance.cacheInspect({limit: 1})).toHaveLength(1);
+            expect((await instance.cacheInspect({pattern: 'orders:*'}))[0].preview).toBeNull();
+
+            const streamed = [];
+            for await (const row of instance.cacheInspect({stream: true}))
+            {
+                streamed.push(row.key);
+            }
+            expect(streamed.sort()).toEqual(['Default', 'orders:1', 'users:1', 'users:2']);
+            expect(await instance.cacheInspect({stream: true, limit: 2}).next()).toHaveProperty('done', false);
+            expect(instance.cacheStats({namespace: 'Inspect-Test'})['Inspect-Test'].node.hits).toBe(0);
+        });
+    });
+});
+
+describe('mcode-cache: admin routes', () =>
+{
+    it('cache.cacheAdmin() should answer JSON and HTMX routes, with authorization and a read-only mode.', async () =>
+    {
+        const request = async (handler, method, url, headers = {}) =>
+        {
+            const res = {headers: {}, setHeader(name, value) {this.headers[name] = value;}, end(body) {this.body = body;}};
+            await handler({method: method, url: url, headers: headers}, res);
+            return res;
+        };
+
+        await withCache({namespace: 'Admin-Test'}, async (instance) =>
+        {
+            await instance.cacheSet("users/1", {name: "<Admin>"});
+
+            const admin = instance.cacheAdmin({basePath: '/cache', authorize: (req, action) => action !== 'redisOff'});
+            const readOnly = instance.cacheAdmin({basePath: '/cache', readOnly: true});
+
+            const keys = await request(admin, 'GET', '/cache/keys?namespace=Admin-Test&pattern=users:*');
+            expect(keys.statusCode).toBe(200);
+            expect(JSON.parse(keys.body).map(row => row.cacheKey)).toEqual(['Admin-Test:users:1']);
+
+            const value = await request(admin, 'GET', '/cache/key?namespace=Admin-Test&key=users:1', {'hx-request': 'true'});
+            expect(value.headers['Content-Type']).toMatch(/text\/html/);
+            expect(value.body).toContain('&lt;Admin&gt;');
+
+            expect((await request(readOnly, 'DELETE', '/cache/key?namespace=Admin-Test&key=users:1')).statusCode).toBe(403);
+            expect((await request(admin, 'POST', '/cache/redis/off')).statusCode).toBe(403);
+            expect((await request(admin, 'GET', '/cache/key?namespace=Nowhere&key=users:1')).statusCode).toBe(400);
+            expect((await request(admin, 'GET', '/other')).statusCode).toBe(404);
+
+            expect(JSON.parse((await request(admin, 'DELETE', '/cache/key?namespace=Admin-Test&key=users:1')).body).dropped).toBe(1);
+            expect((await request(admin, 'GET', '/cache/key?namespace=Admin-Test&key=users:1')).statusCode).toBe(404);
+        });
+    });
+});
+
+describe('mcode-cache: command line', () =>
+{
+    const output = async (fn) =>
+    {
+        let text = '';
+        const write = jest.spyOn(process.stdout, 'write').mockImplementation(chunk => {text += chunk; return true;});
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+
+        try
+        {
+            return {code: await fn(), text: text};
+        }
+        finally
+        {
+            write.mockRestore();
+            error.mockRestore();
+            stderr.mockRestore();
+        }
+    };
+
+    it('cli.parse() should read the command, its arguments and options, and throw for usage errors.', () =>
+    {
+        const parsed = cli.parse(['get', 'users:1', '--namespace', 'CLI-Test', '-j']);
+
+        expect(parsed.command).toBe('get');
+        expect(parsed.args).toEqual(['users:1']);
+        expect(parsed.options).toMatchObject({namespace: 'CLI-Test', json: true, pattern: '*', limit: '100', yes: false});
+
+        expect(cli.parse([]).command).toBe('help');
+        expect(cli.parse(['list', '--help']).command).toBe('help');
+
+        expect(() => cli.parse(['flush', '-n', 'CLI-Test'])).toThrow('Unknown command: flush');
+        expect(() => cli.parse(['list'])).toThrow(/--namespace is required/);
+        expect(() => cli.parse(['list', '-n', '*'])).toThrow(/--namespace is required/);
+        expect(() => cli.parse(['get', '-n', 'CLI-Test'])).toThrow(`'get' needs a key.`);
+        expect(() => cli.parse(['export', '-n', 'CLI-Test'])).toThrow(`'export' needs a file.`);
+        expect(() => cli.parse(['list', '-n', 'CLI-Test', '--nope'])).toThrow();
+    });
+
+    it('mcode-cache should write only its results to stdout, the package log lines go to stderr.', async () =>
+    {
+        const url = 'redis://127.0.0.1:6396';
+        const env = {
+            ...process.env,
+            FAKE_REDIS_URL: url,
+            FAKE_REDIS_KEYS: JSON.stringify({'CLI-Redis:users:1': cache.cacheCodec.encode({name: 'One'})})
+        };
+        const command = async (...args) => await execFile(process.execPath,
+            ['-r', './test/fake-redis-preload.js', './bin/mcode-cache.js', ...args, '--namespace', 'CLI-Redis', '--url', url, '--json'],
+            {env: env, timeout: 30000});
+
+        const list = await command('list');
+        expect(JSON.parse(list.stdout).map(row => row.cacheKey)).toEqual(['CLI-Redis:users:1']);
+
+        const get = await command('get', 'users/1');
+        expect(JSON.parse(get.stdout)).toMatchObject({cacheKey: 'CLI-Redis:users:1', value: {name: 'One'}});
+    });
+
+    it('cli.run() should run each command against a node namespace.', async () =>
+    {
+        const snapshotDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcode-cache-cli-'));
+        const snapshotPath = path.join(snapshotDir, 'cli.json');
+        const options = (more = {}) => ({...cli.parse(['list', '-n', 'CLI-Test', '-j']).options, ...more});
+        const json = (result) => JSON.parse(result.text);
+
+        try
+        {
+            await withCache({namespace: 'CLI-Test'}, async (instance) =>
+            {
+                await instance.cacheSet("users/1", {name: "One"});
+                await instance.cacheSet("users/2", {name: "Two"});
+
+                const list = await output(() => cli.run(instance, 'list', [], options({pattern: 'users:*'})));
+                expect(list.code).toBe(0);
+                expect(json(list).map(row => row.key).sort()).toEqual(['users:1', 'users:2']);
+
+                const table = await output(() => cli.run(instance, 'list', [], options({pattern: 'users:*', json: false})));
+                expect(table.text).toMatch(/^key\s+ttl\s+size\s+type\s+tags\s+value\n/);
+
+                const get = await output(() => cli.run(instance, 'get', ['users/1'], options()));
+                expect(get.code).toBe(0);
+                expect(json(get)).toMatchObject({cacheKey: 'CLI-Test:users:1', value: {name: 'One'}});
+                expect((await output(() => cli.run(instance, 'get', ['users/9'], options()))).code).toBe(1);
+
+                const stats = await output(() => cli.run(instance, 'stats', [], options({pattern: 'users:*'})));
+                expect(json(stats)).toMatchObject({keys: 2, tagged: 0});
+                expect(json(stats).bytes).toBeGreaterThan(0);
+
+                const exported = await output(() => cli.run(instance, 'export', [snapshotPath], options({pattern: 'users:*'})));
+                expect(exported.code).toBe(0);
+                expect(json(exported).keys).toBe(2);
+
+                const drop = await output(() => cli.run(instance, 'drop', ['users/1'], options()));
+                expect(json(drop)).toEqual({cacheKey: 'CLI-Test:users:1', dropped: 1});
+
+                const dryRun = await output(() => cli.run(instance, 'drop-all', [], options({pattern: 'users:*'})));
+                expect(dryRun.code).toBe(0);
+                expect(json(dryRun)).toMatchObject({matched: 1, dropped: 0});
+
+                const dropAll = await output(() => cli.run(instance, 'drop-all', [], options({pattern: 'users:*', yes: true})));
+                expect(dropAll.code).toBe(0);
+                expect(json(dropAll).dropped).toBe(1);
+
+                const imported = await output(() => cli.run(instance, 'import', [snapshotPath], options()));
+                expect(imported.code).toBe(0);
+                expect(json(imported).loaded).toBe(2);
+                expect(await instance.cacheGet("users/2")).toEqual({name: "Two"});
+            });
+        }
+        finally
+        {
+            await fs.rm(snapshotDir, {recursive: true, force: true});
+        }
+    });
+});
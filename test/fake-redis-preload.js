@@ -0,0 +1,19 @@
+// MicroCODE: preloaded into a spawned 'mcode-cache' by the tests, 'node -r ./test/fake-redis-preload.js', so the
+// command reaches the in-memory Redis of fake-redis.js on FAKE_REDIS_URL instead of a Redis server, with the
+// already encoded keys of FAKE_REDIS_KEYS, a JSON object of key: text.
+const Module = require('module');
+const fakeRedis = require('./fake-redis.js');
+
+const load = Module._load;
+
+Module._load = function (request, ...rest)
+{
+    return (request === 'redis') ? fakeRedis : load.call(this, request, ...rest);
+};
+
+const server = fakeRedis.listen(process.env.FAKE_REDIS_URL);
+
+for (const [key, text] of Object.entries(JSON.parse(process.env.FAKE_REDIS_KEYS || '{}')))
+{
+    server.store.set(key, {value: text, expires: 0});
+}
@@ -0,0 +1,386 @@
+// MicroCODE: an in-memory stand-in for the 'redis' v4 client, so the tests of 'redis', 'hybrid', bus, lock and tag
+// paths run without a Redis server. Only the commands mcode-cache uses are here, and its two Lua scripts are run
+// by their JavaScript equivalents, see eval(). A URL is a server once listen() is called for it, stop() and start()
+// take it down and bring it back, the way a Redis outage looks to its clients.
+const {EventEmitter} = require('events');
+
+const servers = new Map();
+
+class ErrorReply extends Error {}
+
+/**
+ * @func glob
+ * @desc Converts a Redis MATCH pattern to a RegExp.
+ * @param {string} pattern the pattern, '*' and '?' wildcards.
+ * @returns {RegExp} the RegExp.
+ */
+function glob(pattern)
+{
+    return new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+class FakeServer
+{
+    constructor (url)
+    {
+        this.url = url;
+        this.up = true;
+        this.store = new Map();
+        this.channels = new EventEmitter();
+        this.clients = new Set();
+        this.commands = [];
+    }
+
+    // a key that has expired is gone, as in Redis
+    entry(key)
+    {
+        const entry = this.store.get(key);
+
+        if (entry && entry.expires && entry.expires <= Date.now())
+        {
+            this.store.delete(key);
+            return undefined;
+        }
+
+        return entry;
+    }
+
+    members(key)
+    {
+        const entry = this.entry(key);
+        return entry ? entry.value : new Set();
+    }
+
+    stop()
+    {
+        this.up = false;
+        this.clients.forEach(client => client._lost());
+    }
+
+    start()
+    {
+        this.up = true;
+        this.clients.forEach(client => client._found());
+    }
+}
+
+class FakeClient extends EventEmitter
+{
+    constructor (options = {})
+    {
+        super();
+        this.options = options;
+        this.url = options.url || 'redis://localhost:6379';
+        this.isOpen = false;
+        this.isReady = false;
+        this.subscriptions = [];
+    }
+
+    get server()
+    {
+        return servers.get(this.url);
+    }
+
+    duplicate()
+    {
+        return new FakeClient(this.options);
+    }
+
+    async connect()
+    {
+        this.isOpen = true;
+
+        // as a real client, it keeps trying until its server is there
+        if (this.server)
+        {
+            this.server.clients.add(this);
+            setImmediate(() => this.server && this.server.up && this._found());
+        }
+    }
+
+    async quit()
+    {
+        return this.disconnect();
+    }
+
+    async disconnect()
+    {
+        if (this.server)
+        {
+            this.server.clients.delete(this);
+            this.subscriptions.forEach(([channel, listener]) => this.server.channels.off(channel, listener));
+        }
+
+        this.subscriptions = [];
+        this.isOpen = false;
+        this.isReady = false;
+        this.emit('end');
+    }
+
+    _found()
+    {
+        if (this.isOpen && !this.isReady)
+        {
+            this.isReady = true;
+            this.emit('connect');
+            this.emit('ready');
+        }
+    }
+
+    _lost()
+    {
+        if (this.isReady)
+        {
+            this.isReady = false;
+            this.emit('error', new Error('Socket closed unexpectedly'));
+            this.emit('reconnecting');
+        }
+    }
+
+    // every command checks its server is up, and is recorded for the tests
+    _run(name)
+    {
+        if (!this.server || !this.server.up || !this.isReady)
+        {
+            throw new Error('The client is closed');
+        }
+
+        this.server.commands.push(name);
+        return this.server;
+    }
+
+    async get(key)
+    {
+        const entry = this._run('get').entry(key);
+        return entry ? entry.value : null;
+    }
+
+    async set(key, value, {PX, NX} = {})
+    {
+        const server = this._run('set');
+
+        if (NX && server.entry(key))
+        {
+            return null;
+        }
+
+        server.store.set(key, {value: `${value}`, expires: PX ? Date.now() + PX : 0});
+        return 'OK';
+    }
+
+    async mGet(keys)
+    {
+        const server = this._run('mGet');
+        return keys.map(key => (server.entry(key) ? server.entry(key).value : null));
+    }
+
+    async del(keys)
+    {
+        const server = this._run('del');
+        return [].concat(keys).filter(key => server.entry(key) && server.store.delete(key)).length;
+    }
+
+    async exists(key)
+    {
+        return this._run('exists').entry(key) ? 1 : 0;
+    }
+
+    async pTTL(key)
+    {
+        const entry = this._run('pTTL').entry(key);
+
+        if (!entry)
+        {
+            return -2;
+        }
+
+        return entry.expires ? entry.expires - Date.now() : -1;
+    }
+
+    async pExpire(key, ms)
+    {
+        const entry = this._run('pExpire').entry(key);
+
+        if (entry)
+        {
+            entry.expires = Date.now() + Number(ms);
+        }
+
+        return !!entry;
+    }
+
+    async persist(key)
+    {
+        const entry = this._run('persist').entry(key);
+
+        if (entry)
+        {
+            entry.expires = 0;
+        }
+
+        return !!entry;
+    }
+
+    async sAdd(key, members)
+    {
+        const server = this._run('sAdd');
+
+        if (!server.entry(key))
+        {
+            server.store.set(key, {value: new Set(), expires: 0});
+        }
+
+        const set = server.entry(key).value;
+        const size = set.size;
+
+        [].concat(members).forEach(member => set.add(member));
+        return set.size - size;
+    }
+
+    async sRem(key, members)
+    {
+        const server = this._run('sRem');
+        const set = server.members(key);
+        const removed = [].concat(members).filter(member => set.delete(member)).length;
+
+        if (set.size === 0)
+        {
+            server.store.delete(key);
+        }
+
+        return removed;
+    }
+
+    async sMembers(key)
+    {
+        return [...this._run('sMembers').members(key)];
+    }
+
+    async sIsMember(key, member)
+    {
+        return this._run('sIsMember').members(key).has(member);
+    }
+
+    async *scanIterator({MATCH = '*'} = {})
+    {
+        const server = this._run('scan');
+        const regex = glob(MATCH);
+
+        for (const key of [...server.store.keys()])
+        {
+            if (regex.test(key) && server.entry(key))
+            {
+                yield key;
+            }
+        }
+    }
+
+    // the lock release and the tagging scripts of mcode-cache, by what they call
+    async eval(script, {keys, arguments: args})
+    {
+        this._run('eval');
+
+        if (script.includes("'sadd'"))
+        {
+            const [cacheKey, ttl, ...tags] = args;
+
+            for (let i = 1; i < keys.length; i++)
+            {
+                const existed = await this.exists(keys[i]);
+                await this.sAdd(keys[i], cacheKey);
+                await this.sAdd(keys[0], tags[i - 1]);
+
+                const left = await this.pTTL(keys[i]);
+
+                if (Number(ttl) === 0)
+                {
+                    await this.persist(keys[i]);
+                }
+                else if (existed === 0 || (left >= 0 && left < Number(ttl)))
+                {
+                    await this.pExpire(keys[i], ttl);
+                }
+            }
+
+            await (Number(ttl) === 0 ? this.persist(keys[0]) : this.pExpire(keys[0], ttl));
+            return 1;
+        }
+
+        if (await this.get(keys[0]) === args[0])
+        {
+            return await this.del(keys[0]);
+        }
+
+        return 0;
+    }
+
+    multi()
+    {
+        const queued = [];
+        const chain = {exec: async () =>
+        {
+            const replies = [];
+
+            for (const [name, args] of queued)
+            {
+                replies.push(await this[name](...args));
+            }
+
+            return replies;
+        }};
+
+        for (const name of ['get', 'set', 'del', 'pTTL', 'sMembers', 'sIsMember', 'sRem'])
+        {
+            chain[name] = (...args) =>
+            {
+                queued.push([name, args]);
+                return chain;
+            };
+        }
+
+        return chain;
+    }
+
+    async publish(channel, message)
+    {
+        const server = this._run('publish');
+        const count = server.channels.listenerCount(channel);
+
+        setImmediate(() => server.channels.emit(channel, message));
+        return count;
+    }
+
+    async subscribe(channel, listener)
+    {
+        const subscription = [channel, (message) => listener(message, channel)];
+
+        this.subscriptions.push(subscription);
+
+        if (this.server)
+        {
+            this.server.channels.on(...subscription);
+        }
+    }
+}
+
+/**
+ * @func listen
+ * @desc Starts a fake Redis server on a URL, or gets the one already there.
+ * @param {string} url the URL, 'redis://<host>:<port>'.
+ * @returns {FakeServer} the server.
+ */
+function listen(url)
+{
+    if (!servers.has(url))
+    {
+        servers.set(url, new FakeServer(url));
+    }
+
+    return servers.get(url);
+}
+
+module.exports = {
+    createClient: (options) => new FakeClient(options),
+    ErrorReply,
+    listen
+};